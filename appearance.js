@@ -0,0 +1,336 @@
+// Aparença del lector: tipus de lletra, espaiat, colors, guia de fixació i lectura biònica.
+import i18next from './i18n.js';
+import { setStorageItem } from './storage.js';
+
+/**
+ * Tipus de lletra del lector (els valors són a style.css, a `[data-reader-font]`):
+ * - default: la de la interfície
+ * - dyslexic: OpenDyslexic, amb lletres de formes ben diferenciades (còpia local a vendor/opendyslexic)
+ * - mono: d'amplada fixa
+ */
+export const READER_FONTS = ['default', 'dyslexic', 'mono'];
+
+/**
+ * Estils de la guia de fixació:
+ * - line: línia vertical de dalt a baix
+ * - reticle: dues marques curtes, a sobre i a sota de la paraula
+ * - hidden: sense guia
+ */
+export const GUIDE_STYLES = ['line', 'reticle', 'hidden'];
+
+/**
+ * Opcions per defecte:
+ * - font: vegeu READER_FONTS
+ * - letterSpacing: espai afegit entre lletres, en em
+ * - customColors: si es fan servir els colors propis en lloc dels del tema
+ * - foreground, background, highlight: colors propis (text, fons i lletra de fixació)
+ * - guidePosition: posició horitzontal de la guia, en % de l'amplada de la finestra
+ * - guideStyle: vegeu GUIDE_STYLES
+ * - bionic: destacar en negreta el principi de cada paraula
+ */
+export const DEFAULT_APPEARANCE = {
+    font: 'default',
+    letterSpacing: 0,
+    customColors: false,
+    foreground: '#000000',
+    background: '#ffffff',
+    highlight: '#d00000',
+    guidePosition: 33,
+    guideStyle: 'line',
+    bionic: false
+};
+
+// Contrast mínim recomanat (WCAG): text normal i elements destacats
+const MIN_TEXT_CONTRAST = 4.5;
+const MIN_HIGHLIGHT_CONTRAST = 3;
+const ENHANCED_TEXT_CONTRAST = 7;
+
+let appearance = loadAppearance();
+let onAppearanceChange = () => {};
+
+/**
+ * Carrega les opcions desades, completades amb els valors per defecte.
+ * @returns {Object}
+ */
+export function loadAppearance() {
+    try {
+        return { ...DEFAULT_APPEARANCE, ...JSON.parse(localStorage.getItem('appearance')) };
+    } catch {
+        return { ...DEFAULT_APPEARANCE };
+    }
+}
+
+/**
+ * Desa les opcions a localStorage.
+ * @param {Object} settings - Opcions d'aparença.
+ */
+export function saveAppearance(settings) {
+    setStorageItem('appearance', JSON.stringify(settings));
+}
+
+/**
+ * Opcions d'aparença actuals.
+ * @returns {Object}
+ */
+export function getAppearance() {
+    return appearance;
+}
+
+/**
+ * Llegeix un color en format #rrggbb (o #rgb).
+ * @param {string} hex - Color.
+ * @returns {number[]|null} - Components [r, g, b] de 0 a 255, o null si no és vàlid.
+ */
+export function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/**
+ * Luminància relativa d'un color (WCAG 2).
+ * @param {number[]} rgb - Components [r, g, b].
+ * @returns {number}
+ */
+function getLuminance(rgb) {
+    const [r, g, b] = rgb.map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Relació de contrast entre dos colors, d'1 (cap) a 21 (negre sobre blanc).
+ * @param {string} first - Color en format hexadecimal.
+ * @param {string} second - Color en format hexadecimal.
+ * @returns {number}
+ */
+export function getContrastRatio(first, second) {
+    const a = parseHexColor(first);
+    const b = parseHexColor(second);
+    if (!a || !b) return 1;
+    const [light, dark] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Nombre de lletres que es destaquen al principi d'una paraula en la lectura biònica.
+ * @param {number} length - Lletres de la paraula.
+ * @returns {number}
+ */
+export function getBionicPrefixLength(length) {
+    if (length <= 3) return Math.min(length, 1);
+    return Math.ceil(length / 2);
+}
+
+/**
+ * Marca quins caràcters d'un text van en negreta en la lectura biònica: el principi de cada
+ * paraula (seqüència de lletres i xifres). La puntuació i els apòstrofs no compten.
+ * @param {string} text - Text a mostrar.
+ * @returns {boolean[]}
+ */
+export function getBionicMask(text) {
+    const mask = new Array(text.length).fill(false);
+    for (const match of text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const prefix = getBionicPrefixLength(match[0].length);
+        mask.fill(true, match.index, match.index + prefix);
+    }
+    return mask;
+}
+
+/**
+ * Afegeix un tros de text a un element, amb negretes segons la màscara biònica.
+ * @param {Node} parent - Element on s'afegeix.
+ * @param {string} text - Text sencer.
+ * @param {number} start - Inici del tros.
+ * @param {number} end - Final del tros.
+ * @param {boolean[]|null} mask - Màscara de getBionicMask, o null sense lectura biònica.
+ */
+function appendSegment(parent, text, start, end, mask) {
+    let from = start;
+    while (from < end) {
+        const bold = mask ? mask[from] : false;
+        let to = from + 1;
+        while (to < end && (mask ? mask[to] : false) === bold) to++;
+        const part = text.slice(from, to);
+        if (bold) {
+            const element = document.createElement('b');
+            element.textContent = part;
+            parent.appendChild(element);
+        } else {
+            parent.appendChild(document.createTextNode(part));
+        }
+        from = to;
+    }
+}
+
+/**
+ * Construeix els nodes d'una paraula o grup per al lector: la lletra de fixació dins d'un
+ * `span.highlight` i, amb la lectura biònica, el principi de cada paraula en negreta.
+ * @param {string} text - Text a mostrar.
+ * @param {number} focusStart - Inici de la lletra de fixació.
+ * @param {number} focusEnd - Final de la lletra de fixació.
+ * @returns {DocumentFragment}
+ */
+export function createReaderText(text, focusStart, focusEnd) {
+    const mask = appearance.bionic ? getBionicMask(text) : null;
+    const fragment = document.createDocumentFragment();
+    const highlight = document.createElement('span');
+    highlight.className = 'highlight';
+
+    appendSegment(fragment, text, 0, focusStart, mask);
+    appendSegment(highlight, text, focusStart, focusEnd, mask);
+    fragment.appendChild(highlight);
+    appendSegment(fragment, text, focusEnd, text.length, mask);
+    return fragment;
+}
+
+/**
+ * Construeix els nodes d'un text sense lletra de fixació (paràgraf de la lectura guiada).
+ * @param {string} text - Text a mostrar.
+ * @returns {DocumentFragment}
+ */
+export function createPlainReaderText(text) {
+    const fragment = document.createDocumentFragment();
+    appendSegment(fragment, text, 0, text.length, appearance.bionic ? getBionicMask(text) : null);
+    return fragment;
+}
+
+/**
+ * Aplica les opcions a la pàgina amb variables CSS i atributs de `body` (vegeu style.css).
+ * @param {Object} settings - Opcions d'aparença.
+ */
+export function applyAppearance(settings) {
+    const { body } = document;
+    body.dataset.readerFont = settings.font;
+    body.dataset.guideStyle = settings.guideStyle;
+    body.classList.toggle('bionic', settings.bionic);
+    body.style.setProperty('--reader-letter-spacing', `${settings.letterSpacing}em`);
+    body.style.setProperty('--guide-position', `${settings.guidePosition}%`);
+
+    // Els colors propis substitueixen els del tema clar o fosc
+    ['--text-color', '--bg-color', '--highlight-color'].forEach(name => body.style.removeProperty(name));
+    if (settings.customColors) {
+        body.style.setProperty('--text-color', settings.foreground);
+        body.style.setProperty('--bg-color', settings.background);
+        body.style.setProperty('--highlight-color', settings.highlight);
+    }
+}
+
+/**
+ * Mostra la relació de contrast dels colors propis i avisa si és massa baixa.
+ */
+function renderContrast() {
+    const output = document.getElementById('appearance-contrast');
+    const textRatio = getContrastRatio(appearance.foreground, appearance.background);
+    const highlightRatio = getContrastRatio(appearance.highlight, appearance.background);
+
+    let key = 'appearance.contrastGood';
+    if (textRatio < MIN_TEXT_CONTRAST) key = 'appearance.contrastLowText';
+    else if (highlightRatio < MIN_HIGHLIGHT_CONTRAST) key = 'appearance.contrastLowHighlight';
+    else if (textRatio >= ENHANCED_TEXT_CONTRAST) key = 'appearance.contrastEnhanced';
+
+    output.textContent = i18next.t(key, {
+        text: textRatio.toFixed(1),
+        highlight: highlightRatio.toFixed(1)
+    });
+    output.classList.toggle('is-warning', key.includes('Low'));
+    document.getElementById('appearance-colors').hidden = !appearance.customColors;
+}
+
+/**
+ * Pinta la mostra del panell amb les opcions actuals.
+ */
+function renderPreview() {
+    const word = i18next.t('appearance.previewWord');
+    const preview = document.getElementById('appearance-preview-word');
+    const focus = Math.min(2, word.length - 1);
+    preview.replaceChildren(createReaderText(word, focus, focus + 1));
+}
+
+/**
+ * Omple els controls del panell amb les opcions actuals.
+ */
+function fillControls() {
+    document.querySelectorAll('[data-appearance]').forEach(input => {
+        const value = appearance[input.dataset.appearance];
+        if (input.type === 'checkbox') input.checked = value;
+        else input.value = value;
+    });
+    document.getElementById('letter-spacing-value').textContent = `${appearance.letterSpacing} em`;
+    document.getElementById('guide-position-value').textContent = `${appearance.guidePosition} %`;
+}
+
+/**
+ * Aplica i desa les opcions, i avisa l'aplicació perquè torni a pintar la paraula.
+ */
+function updateAppearance() {
+    applyAppearance(appearance);
+    saveAppearance(appearance);
+    fillControls();
+    renderContrast();
+    renderPreview();
+    onAppearanceChange(appearance);
+}
+
+/**
+ * Mostra o amaga el panell d'aparença.
+ * @param {boolean} visible - Estat desitjat.
+ */
+export function toggleAppearancePopup(visible) {
+    if (visible) {
+        renderContrast();
+        renderPreview();
+    }
+    document.getElementById('appearance-popup').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Indica si el panell d'aparença és visible.
+ * @returns {boolean}
+ */
+export function isAppearancePopupOpen() {
+    return document.getElementById('appearance-popup').style.display === 'block';
+}
+
+/**
+ * Torna a pintar els textos del panell (per exemple, en canviar d'idioma).
+ */
+export function refreshAppearancePanel() {
+    renderContrast();
+    renderPreview();
+}
+
+/**
+ * Aplica les opcions desades i connecta el panell d'aparença.
+ * @param {Object} [options]
+ * @param {(settings: Object) => void} [options.onChange] - Es crida quan canvia alguna opció.
+ */
+export function initializeAppearance({ onChange } = {}) {
+    const popup = document.getElementById('appearance-popup');
+    if (onChange) onAppearanceChange = onChange;
+
+    popup.addEventListener('mousedown', (e) => {
+        if (e.target === popup) toggleAppearancePopup(false);
+    });
+
+    document.querySelectorAll('[data-appearance]').forEach(input => {
+        input.addEventListener('input', () => {
+            const key = input.dataset.appearance;
+            if (input.type === 'checkbox') appearance[key] = input.checked;
+            else if (input.type === 'range') appearance[key] = parseFloat(input.value);
+            else appearance[key] = input.value;
+            updateAppearance();
+        });
+    });
+
+    document.getElementById('appearance-reset').addEventListener('click', () => {
+        appearance = { ...DEFAULT_APPEARANCE };
+        updateAppearance();
+    });
+
+    applyAppearance(appearance);
+    fillControls();
+}
@@ -0,0 +1,126 @@
+// Modes de visualització: paraula a paraula (RSVP), amb context o lectura guiada, i grups de diverses paraules.
+import { setStorageItem } from './storage.js';
+
+/**
+ * Modes disponibles:
+ * - rsvp: només la paraula (o el grup) actual, alineada amb la guia
+ * - context: com rsvp, amb la resta de la frase atenuada a sobre i a sota
+ * - guided: el paràgraf sencer, amb la paraula (o el grup) actual ressaltada
+ */
+export const DISPLAY_MODES = ['rsvp', 'context', 'guided'];
+
+/**
+ * Opcions per defecte:
+ * - chunkSize: paraules que es mostren de cop (1-4)
+ * - chunkSplit: com es formen els grups, 'phrase' (sintagmes: talla a la puntuació i davant de
+ *   preposicions i conjuncions) o 'length' (omple fins a una longitud de caràcters)
+ */
+export const DEFAULT_DISPLAY = {
+    mode: 'rsvp',
+    chunkSize: 1,
+    chunkSplit: 'phrase'
+};
+
+// Caràcters de mitjana per paraula, per calcular la longitud màxima d'un grup
+const CHARS_PER_WORD = 7;
+
+// Paraules que solen començar un sintagma nou (preposicions, conjuncions i relatius)
+const PHRASE_STARTERS = {
+    ca: ['a', 'amb', 'com', 'de', 'des', 'en', 'fins', 'i', 'o', 'on', 'per', 'però', 'perquè', 'que', 'quan', 'si', 'sense', 'sobre', 'sota', 'cap', 'entre', 'mentre'],
+    es: ['a', 'con', 'como', 'de', 'desde', 'en', 'hasta', 'y', 'e', 'o', 'u', 'donde', 'por', 'para', 'pero', 'porque', 'que', 'cuando', 'si', 'sin', 'sobre', 'bajo', 'entre', 'mientras'],
+    en: ['and', 'or', 'but', 'because', 'that', 'which', 'who', 'when', 'where', 'while', 'if', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'from', 'by', 'about', 'into', 'without']
+};
+
+/**
+ * @typedef {Object} Chunk
+ * @property {number} start - Índex del primer token del grup.
+ * @property {number} end - Índex posterior a l'últim token del grup.
+ */
+
+/**
+ * Carrega les opcions desades, completades amb els valors per defecte.
+ * @returns {Object}
+ */
+export function loadDisplaySettings() {
+    try {
+        return { ...DEFAULT_DISPLAY, ...JSON.parse(localStorage.getItem('displaySettings')) };
+    } catch {
+        return { ...DEFAULT_DISPLAY };
+    }
+}
+
+/**
+ * Desa les opcions a localStorage.
+ * @param {Object} settings - Opcions de visualització.
+ */
+export function saveDisplaySettings(settings) {
+    setStorageItem('displaySettings', JSON.stringify(settings));
+}
+
+/**
+ * Agrupa les paraules en grups de fins a `chunkSize` paraules. Un grup mai no travessa el final
+ * d'una frase, i els trossos d'una paraula dividida sempre es mostren sols.
+ * @param {import('./tokenizer.js').Token[]} tokens - Paraules tokenitzades.
+ * @param {Object} settings - Opcions de visualització.
+ * @param {string} lang - Idioma del text.
+ * @returns {Chunk[]}
+ */
+export function createChunks(tokens, { chunkSize, chunkSplit }, lang) {
+    const size = Math.max(1, Math.min(Math.round(chunkSize) || 1, 4));
+    const maxLength = size * CHARS_PER_WORD;
+    const starters = new Set(PHRASE_STARTERS[lang] || []);
+    const chunks = [];
+    let start = 0;
+    let length = 0;
+
+    const close = (end) => {
+        if (end > start) chunks.push({ start, end });
+        start = end;
+        length = 0;
+    };
+
+    tokens.forEach((token, index) => {
+        const words = index - start;
+        const isSplit = token.parts > 1;
+        const isFull = words >= size ||
+            (chunkSplit === 'length' && length + token.text.length > maxLength) ||
+            (chunkSplit === 'phrase' && starters.has(token.word.toLocaleLowerCase()));
+
+        if (isSplit || isFull) close(index);
+        length += token.text.length + 1;
+
+        const endsPhrase = chunkSplit === 'phrase' && /[,;:—–)»"”]/.test(token.trailing);
+        if (isSplit || token.sentenceEnd || endsPhrase) close(index + 1);
+    });
+    close(tokens.length);
+    return chunks;
+}
+
+/**
+ * Índex del grup de cada token, per trobar ràpidament el grup d'una posició.
+ * @param {Chunk[]} chunks - Grups.
+ * @returns {number[]}
+ */
+export function indexChunks(chunks) {
+    const chunkOf = [];
+    chunks.forEach(({ start, end }, chunkIndex) => {
+        for (let i = start; i < end; i++) chunkOf[i] = chunkIndex;
+    });
+    return chunkOf;
+}
+
+/**
+ * Torna a unir els tokens en text: els trossos d'una paraula dividida s'enganxen sense el guionet afegit.
+ * @param {import('./tokenizer.js').Token[]} tokens - Tokens consecutius.
+ * @returns {string}
+ */
+export function joinTokens(tokens) {
+    return tokens
+        .map((token, index) => {
+            const text = token.softHyphen ? token.text.slice(0, -1) : token.text;
+            const next = tokens[index + 1];
+            return next && next.part > 0 ? text : `${text} `;
+        })
+        .join('')
+        .trim();
+}
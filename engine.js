@@ -0,0 +1,534 @@
+// Motor de lectura sense DOM: prepara el text (paraules, grups, lletra de fixació i ritme) i en marca el pas
+// amb la corba de velocitat. La interfície només s'hi subscriu amb callbacks, de manera que es pot fer servir
+// en altres pàgines o a Node, amb un rellotge propi per a les proves.
+import { tokenizeText, countWords, findSentenceStarts, findParagraphStarts, detectLanguage } from './tokenizer.js';
+import { getFocusRange, DEFAULT_FOCUS_STRATEGY } from './focus-point.js';
+import { createPacingPlan, calculateWordDelay, DEFAULT_PACING } from './pacing.js';
+import { getProgramWPM, DEFAULT_PROGRAM } from './speed-programs.js';
+import { createChunks, indexChunks, joinTokens, DEFAULT_DISPLAY } from './display-modes.js';
+import { wpmToRate, buildSpeechText, findTokenAt } from './speech.js';
+
+// Límits de velocitat d'una sessió
+export const MIN_WPM = 50;
+export const MAX_WPM = 1000;
+
+/**
+ * Opcions per defecte del motor:
+ * - focusStrategy: estratègia de la lletra de fixació (vegeu focus-point.js)
+ * - pacing: pesos del ritme (vegeu pacing.js)
+ * - display: mida i divisió dels grups de paraules (vegeu display-modes.js)
+ * - speechMode: lectura en veu alta, 'off', 'follow' o 'lead' (vegeu speech.js)
+ */
+export const DEFAULT_ENGINE_SETTINGS = {
+    focusStrategy: DEFAULT_FOCUS_STRATEGY,
+    pacing: DEFAULT_PACING,
+    display: DEFAULT_DISPLAY,
+    speechMode: 'off'
+};
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - Moment actual, en mil·lisegons.
+ * @property {(callback: () => void, delay: number) => *} setTimeout - Programa una crida.
+ * @property {(id: *) => void} clearTimeout - Anul·la una crida programada.
+ */
+
+/**
+ * Rellotge del sistema. A les proves se'n passa un de manual per avançar el temps a voluntat.
+ * @type {Clock}
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id)
+};
+
+/**
+ * @typedef {Object} WordView
+ * @property {import('./display-modes.js').Chunk} chunk - Grup que es mostra.
+ * @property {import('./tokenizer.js').Token[]} tokens - Tokens del grup.
+ * @property {string} text - Text a mostrar.
+ * @property {number} focusStart - Inici de la lletra de fixació dins de `text`.
+ * @property {number} focusEnd - Final de la lletra de fixació dins de `text`.
+ */
+
+/**
+ * @typedef {Object} Progress
+ * @property {number} position - Índex de l'últim token que es mostra.
+ * @property {number} total - Tokens del text.
+ * @property {number} word - Paraules mostrades fins ara, comptant la del grup actual.
+ * @property {number} totalWords - Paraules del text (sense comptar els trossos de les paraules dividides).
+ * @property {number} wpm - Velocitat actual.
+ */
+
+/**
+ * @typedef {Object} SessionStats
+ * @property {number} totalWords - Paraules del text.
+ * @property {number} wordsRead - Paraules llegides des de l'inici de la sessió.
+ * @property {number} startWPM - Velocitat inicial.
+ * @property {number} targetWPM - Velocitat objectiu.
+ * @property {number} averageWPM - Velocitat mitjana real (0 si encara no s'ha llegit gens de temps).
+ * @property {number} duration - Temps de lectura sense les pauses, en mil·lisegons.
+ * @property {boolean} completed - Si s'ha llegit el text sencer.
+ */
+
+/**
+ * Limita una velocitat al rang permès.
+ * @param {number} wpm - Paraules per minut.
+ * @returns {number}
+ */
+export function clampWPM(wpm) {
+    return Math.max(MIN_WPM, Math.min(wpm, MAX_WPM));
+}
+
+/**
+ * Text i lletra de fixació d'un grup. Amb una sola paraula, la fixació es calcula sobre la paraula
+ * nua, sense puntuació ni article apostrofat; en un grup de diverses paraules va al centre del grup,
+ * per llegir-lo amb la visió perifèrica.
+ * @param {import('./tokenizer.js').Token[]} tokens - Tokens del grup.
+ * @param {Object} options
+ * @param {string} options.strategy - Estratègia de fixació.
+ * @param {string} options.lang - Idioma del text.
+ * @returns {{text: string, focusStart: number, focusEnd: number}}
+ */
+export function getChunkFocus(tokens, { strategy, lang }) {
+    if (tokens.length === 1) {
+        const [token] = tokens;
+        const focus = getFocusRange(token.word, { strategy, lang });
+        return { text: token.text, focusStart: token.wordStart + focus.start, focusEnd: token.wordStart + focus.end };
+    }
+    const text = joinTokens(tokens);
+    const focus = getFocusRange(text, { strategy: 'center', lang });
+    return { text, focusStart: focus.start, focusEnd: focus.end };
+}
+
+/**
+ * Crea un motor de lectura. Estats: 'idle' (sense sessió), 'playing', 'paused' i 'finished'.
+ * @param {Object} [options]
+ * @param {Clock} [options.clock] - Rellotge (per defecte, el del sistema).
+ * @param {Object} [options.settings] - Opcions inicials (vegeu DEFAULT_ENGINE_SETTINGS).
+ * @param {ReturnType<import('./speech.js').createSpeaker>} [options.speaker] - Lector de veu, si se'n vol.
+ * @param {(lang: string) => SpeechSynthesisVoice|null} [options.getVoice] - Veu per a un idioma.
+ * @param {(view: WordView) => void} [options.onWord] - Es crida cada vegada que s'ha de mostrar un grup.
+ * @param {(progress: Progress) => void} [options.onProgress] - Es crida quan canvia la posició o la velocitat.
+ * @param {(state: string) => void} [options.onStateChange] - Es crida quan canvia l'estat.
+ * @param {(stats: SessionStats) => void} [options.onFinish] - Es crida en acabar el text.
+ */
+export function createReadingEngine({
+    clock = systemClock,
+    settings: initialSettings = {},
+    speaker = null,
+    getVoice = () => null,
+    onWord = () => {},
+    onProgress = () => {},
+    onStateChange = () => {},
+    onFinish = () => {}
+} = {}) {
+    let settings = { ...DEFAULT_ENGINE_SETTINGS, ...initialSettings };
+    let tokens = [];           // Paraules tokenitzades (vegeu tokenizer.js)
+    let totalWords = 0;        // Paraules originals, sense comptar els trossos de les paraules dividides
+    let sentenceStarts = [];   // Índex de la primera paraula de cada frase
+    let paragraphStarts = [];  // Índex de la primera paraula de cada paràgraf
+    let lang = 'ca';           // Idioma del text carregat
+    let pacingPlan = null;     // Pesos de temps de cada paraula (vegeu pacing.js)
+    let chunks = [];           // Grups de paraules que es mostren de cop
+    let chunkOf = [];          // Índex del grup de cada paraula
+    let program = null;        // Programa de velocitat de la sessió, amb la durada de la rampa
+    let startWPM = 0;
+    let targetWPM = 0;
+    let currentWPM = 0;
+    let currentIndex = 0;
+    let sessionStartWord = 0;  // Paraula on ha començat la sessió (0, o el marcador si es continua una lectura)
+    let playedTime = 0;        // Temps de reproducció acumulat fins a l'última pausa (ms)
+    let segmentStart = 0;      // Moment en què es va iniciar o reprendre la reproducció
+    let timerId = null;
+    let state = 'idle';
+
+    const setState = (next) => {
+        state = next;
+        onStateChange(state);
+    };
+
+    /**
+     * Temps de reproducció efectiu (sense comptar les pauses). Manté la corba d'acceleració en reprendre.
+     * @returns {number}
+     */
+    const getPlayedTime = () => (state === 'playing' ? playedTime + (clock.now() - segmentStart) : playedTime);
+
+    const getChunk = (index = currentIndex) => chunks[chunkOf[index]];
+
+    const updateChunks = () => {
+        chunks = createChunks(tokens, settings.display, lang);
+        chunkOf = indexChunks(chunks);
+    };
+
+    /**
+     * Actualitza la velocitat segons el programa i la posició a la sessió
+     * (segons reproduïts o paraules llegides, segons la unitat de la rampa).
+     */
+    const updateCurrentWPM = () => {
+        if (currentIndex >= tokens.length) return;
+        const position = program.rampUnit === 'words'
+            ? Math.max(0, tokens[currentIndex].wordIndex - sessionStartWord)
+            : getPlayedTime() / 1000;
+        currentWPM = getProgramWPM(program, startWPM, targetWPM, position);
+    };
+
+    const getView = (index = currentIndex) => {
+        const chunk = getChunk(index);
+        const chunkTokens = tokens.slice(chunk.start, chunk.end);
+        return { chunk, tokens: chunkTokens, ...getChunkFocus(chunkTokens, { strategy: settings.focusStrategy, lang }) };
+    };
+
+    const getProgress = () => {
+        const last = getChunk().end - 1;
+        return { position: last, total: tokens.length, word: tokens[last].wordIndex + 1, totalWords, wpm: currentWPM };
+    };
+
+    // Avisa la interfície perquè mostri el grup actual
+    const emitWord = () => {
+        onWord(getView());
+        onProgress(getProgress());
+    };
+
+    const isSpeechActive = () => settings.speechMode !== 'off' && Boolean(speaker?.isAvailable());
+
+    /**
+     * Atura la paraula programada i la veu. Els events de la locució cancel·lada ja no arriben.
+     */
+    const cancelScheduledWord = () => {
+        if (timerId) {
+            clock.clearTimeout(timerId);
+            timerId = null;
+        }
+        speaker?.cancel();
+    };
+
+    /**
+     * Text a llegir en mostrar un grup quan la veu segueix el text. Una paraula dividida es llegeix
+     * sencera amb el primer tros; els següents no es tornen a llegir.
+     */
+    const getChunkSpeech = (chunk) => {
+        if (tokens[chunk.start].part > 0) return '';
+        let end = chunk.end;
+        while (end < tokens.length && tokens[end].part > 0) end++;
+        return buildSpeechText(tokens.slice(chunk.start, end)).text;
+    };
+
+    const finish = () => {
+        timerId = null;
+        playedTime = getPlayedTime();
+        currentIndex = tokens.length - 1;
+        setState('finished');
+        onFinish(getStats());
+    };
+
+    /**
+     * Mostra el grup actual i programa el següent.
+     */
+    const renderNextWord = () => {
+        if (currentIndex >= tokens.length) {
+            finish();
+            return;
+        }
+
+        emitWord();
+
+        const chunk = getChunk();
+        if (isSpeechActive() && settings.speechMode === 'lead') {
+            speakSentence(chunk);
+            return;
+        }
+
+        // Temps del grup sencer, si se'n mostren diverses paraules
+        const delay = calculateWordDelay(pacingPlan, chunk.start, currentWPM, chunk.end - chunk.start);
+        const showNext = () => {
+            currentIndex = chunk.end;
+            updateCurrentWPM();
+            renderNextWord();
+        };
+
+        // Amb la veu, es passa a la paraula següent quan s'han acabat alhora el temps i la locució
+        const text = isSpeechActive() ? getChunkSpeech(chunk) : '';
+        if (!text) {
+            timerId = clock.setTimeout(showNext, delay);
+            return;
+        }
+        let pending = 2;
+        const done = () => {
+            pending--;
+            if (pending === 0) showNext();
+        };
+        speaker.speak(text, { lang, rate: wpmToRate(currentWPM), voice: getVoice(lang), onEnd: done });
+        timerId = clock.setTimeout(() => {
+            timerId = null;
+            done();
+        }, delay);
+    };
+
+    /**
+     * Llegeix la resta de la frase a la velocitat actual i fa avançar les paraules amb la veu.
+     * Els events de límit de paraula marquen la paraula que es mostra; mentre no n'arriba cap (hi ha
+     * veus que no en donen), s'avança amb el temps estimat, sense passar mai del final de la frase.
+     * En acabar la locució es continua amb la frase següent, a la velocitat que toqui llavors: la veu no
+     * pot canviar de velocitat a mitja locució, de manera que la corba d'acceleració s'hi aplica frase a
+     * frase. Un canvi manual de velocitat sí que torna a començar la locució (vegeu shiftSpeed).
+     */
+    const speakSentence = (chunk) => {
+        const { sentence } = tokens[chunk.start];
+        let end = chunk.end;
+        while (end < tokens.length && tokens[end].sentence === sentence) end++;
+        const { text, starts } = buildSpeechText(tokens.slice(chunk.start, end));
+        let hasBoundaries = false;
+
+        const scheduleEstimate = () => {
+            const current = getChunk();
+            if (hasBoundaries || current.end >= end) return;
+            const delay = calculateWordDelay(pacingPlan, current.start, currentWPM, current.end - current.start);
+            timerId = clock.setTimeout(() => showWord(current.end), delay);
+        };
+        const showWord = (index) => {
+            clock.clearTimeout(timerId);
+            timerId = null;
+            currentIndex = getChunk(index).start;
+            updateCurrentWPM();
+            emitWord();
+            scheduleEstimate();
+        };
+
+        speaker.speak(text, {
+            lang,
+            rate: wpmToRate(currentWPM),
+            voice: getVoice(lang),
+            onBoundary: (charIndex) => {
+                hasBoundaries = true;
+                const index = chunk.start + findTokenAt(starts, charIndex);
+                // Un límit que arriba tard (el temps estimat ja havia passat la paraula) no fa tornar enrere
+                if (chunkOf[index] > chunkOf[currentIndex]) showWord(index);
+            },
+            onEnd: () => {
+                clock.clearTimeout(timerId);
+                timerId = null;
+                currentIndex = end;
+                updateCurrentWPM();
+                renderNextWord();
+            }
+        });
+        scheduleEstimate();
+    };
+
+    /**
+     * Comença una sessió nova amb un text.
+     * @param {string} text - Text a llegir.
+     * @param {Object} [options]
+     * @param {string} [options.lang] - Idioma (per defecte, el detectat).
+     * @param {number} [options.maxWordLength] - Longitud a partir de la qual es divideixen les paraules (0: mai).
+     * @param {number} [options.startWPM] - Velocitat inicial.
+     * @param {number} [options.targetWPM] - Velocitat objectiu (per defecte, la inicial).
+     * @param {Object} [options.program] - Programa de velocitat, amb `rampLength` (vegeu speed-programs.js).
+     * @param {number} [options.startWord] - Paraula des d'on es comença (per continuar des d'un marcador).
+     * @throws {Error} Si el text no té cap paraula.
+     */
+    const start = (text, {
+        lang: textLang = detectLanguage(text),
+        maxWordLength = 0,
+        startWPM: initialWPM = 300,
+        targetWPM: finalWPM = initialWPM,
+        program: sessionProgram = { ...DEFAULT_PROGRAM, rampLength: 10 },
+        startWord = 0
+    } = {}) => {
+        const textTokens = tokenizeText(text, { lang: textLang, maxWordLength });
+        if (textTokens.length === 0) throw new Error('El text no té paraules per llegir');
+
+        cancelScheduledWord();
+        lang = textLang;
+        tokens = textTokens;
+        totalWords = countWords(tokens);
+        sentenceStarts = findSentenceStarts(tokens);
+        paragraphStarts = findParagraphStarts(tokens);
+        pacingPlan = createPacingPlan(tokens, settings.pacing);
+        updateChunks();
+
+        startWPM = initialWPM;
+        targetWPM = finalWPM;
+        currentWPM = initialWPM;
+        program = sessionProgram;
+        currentIndex = getChunk(Math.max(0, tokens.findIndex(token => token.wordIndex >= startWord))).start;
+        sessionStartWord = tokens[currentIndex].wordIndex;
+        playedTime = 0;
+        segmentStart = clock.now();
+        setState('playing');
+        renderNextWord();
+    };
+
+    /**
+     * Atura temporalment la lectura conservant la posició i el temps d'acceleració.
+     */
+    const pause = () => {
+        if (state !== 'playing') return;
+        cancelScheduledWord();
+        playedTime = getPlayedTime();
+        setState('paused');
+    };
+
+    /**
+     * Reprèn la lectura des de la paraula actual.
+     */
+    const resume = () => {
+        if (state !== 'paused') return;
+        segmentStart = clock.now();
+        setState('playing');
+        renderNextWord();
+    };
+
+    /**
+     * Tanca la sessió. El text es manté carregat, però ja no es pot reprendre.
+     */
+    const stop = () => {
+        cancelScheduledWord();
+        playedTime = getPlayedTime();
+        currentIndex = 0;
+        setState('idle');
+    };
+
+    /**
+     * Salta a una paraula concreta. Si s'està reproduint, la lectura continua des d'allà;
+     * si està en pausa (o acabada), només es mostra la paraula.
+     * @param {number} index - Índex de destinació (es limita al rang del text).
+     */
+    const seek = (index) => {
+        if (state === 'idle' || tokens.length === 0) return;
+        // Sempre es comença a l'inici d'un grup
+        currentIndex = getChunk(Math.max(0, Math.min(Math.round(index), tokens.length - 1))).start;
+        updateCurrentWPM();
+
+        if (state === 'playing') {
+            cancelScheduledWord();
+            renderNextWord();
+            return;
+        }
+        if (state === 'finished') setState('paused');
+        emitWord();
+    };
+
+    /**
+     * Avança o retrocedeix un nombre de paraules (o de grups, si se'n mostren diverses de cop).
+     * @param {number} count - Paraules a saltar (negatiu per retrocedir).
+     */
+    const skipWords = (count) => {
+        if (state === 'idle' || tokens.length === 0) return;
+        const target = Math.max(0, Math.min(chunkOf[currentIndex] + count, chunks.length - 1));
+        seek(chunks[target].start);
+    };
+
+    /**
+     * Calcula el límit (inici de frase o paràgraf) al qual saltar des de la posició actual.
+     * En retrocedir, torna a l'inici del bloc actual, o a l'anterior si ja s'hi és a prop.
+     */
+    const findBoundary = (starts, direction) => {
+        if (direction > 0) {
+            const next = starts.find(start => start > currentIndex);
+            return next !== undefined ? next : tokens.length - 1;
+        }
+        const previous = starts.filter(start => start <= currentIndex);
+        const blockStart = previous[previous.length - 1] ?? 0;
+        // Enrere des del principi del bloc o just després (0-1 paraules) es va al bloc anterior,
+        // perquè prémer enrere just quan comença un bloc no el torni a repetir
+        if (currentIndex - blockStart > 1 || previous.length < 2) return blockStart;
+        return previous[previous.length - 2];
+    };
+
+    /**
+     * Desplaça la velocitat de la sessió en curs. Durant l'acceleració es desplaça tota la rampa
+     * perquè la corba es mantingui.
+     * @param {number} delta - Increment en PPM (negatiu per reduir).
+     */
+    const shiftSpeed = (delta) => {
+        if (state === 'idle') return;
+        startWPM = clampWPM(startWPM + delta);
+        targetWPM = clampWPM(targetWPM + delta);
+        currentWPM = clampWPM(currentWPM + delta);
+        // La veu al davant es torna a començar des de la paraula de la pantalla a la velocitat nova
+        if (state === 'playing' && isSpeechActive() && settings.speechMode === 'lead') {
+            cancelScheduledWord();
+            renderNextWord();
+            return;
+        }
+        onProgress(getProgress());
+    };
+
+    /**
+     * Canvia opcions del motor. Amb un text carregat, es refan els grups o el ritme, i la paraula
+     * en pausa es torna a mostrar amb les opcions noves.
+     * @param {Object} changes - Opcions a canviar (vegeu DEFAULT_ENGINE_SETTINGS).
+     */
+    const configure = (changes) => {
+        const previous = settings;
+        settings = { ...settings, ...changes };
+        if (tokens.length === 0) return;
+
+        if ('pacing' in changes) pacingPlan = createPacingPlan(tokens, settings.pacing);
+        if ('display' in changes) {
+            updateChunks();
+            currentIndex = getChunk(Math.min(currentIndex, tokens.length - 1)).start;
+        }
+        // Amb la lectura en marxa, es continua des de la paraula actual amb el mode de veu nou
+        if (state === 'playing' && settings.speechMode !== previous.speechMode) {
+            cancelScheduledWord();
+            renderNextWord();
+        }
+        refresh();
+    };
+
+    /**
+     * Torna a mostrar la paraula en pausa (per exemple, després de canviar-ne l'aparença).
+     */
+    const refresh = () => {
+        if (state === 'paused') emitWord();
+    };
+
+    /**
+     * Dades de la sessió per a l'historial.
+     * @returns {SessionStats}
+     */
+    const getStats = () => {
+        const duration = getPlayedTime();
+        const completed = state === 'finished';
+        const shown = tokens[getChunk().end - 1];
+        const wordsRead = Math.max(0, (completed ? totalWords : shown.wordIndex + 1) - sessionStartWord);
+        return {
+            totalWords,
+            wordsRead,
+            startWPM,
+            targetWPM,
+            // Sense temps de lectura (per exemple, en aturar just després de començar) no hi ha mitjana
+            averageWPM: duration > 0 ? Math.round(wordsRead / (duration / 60000)) : 0,
+            duration,
+            completed
+        };
+    };
+
+    return {
+        start,
+        pause,
+        resume,
+        stop,
+        seek,
+        skipWords,
+        skipSentence: (direction) => seek(findBoundary(sentenceStarts, direction)),
+        skipParagraph: (direction) => seek(findBoundary(paragraphStarts, direction)),
+        shiftSpeed,
+        configure,
+        refresh,
+        getState: () => state,
+        getTokens: () => tokens,
+        getTotalWords: () => totalWords,
+        getLanguage: () => lang,
+        getIndex: () => currentIndex,
+        getChunk,
+        getView,
+        getWPM: () => currentWPM,
+        getPlayedTime,
+        getStats
+    };
+}
@@ -0,0 +1,71 @@
+// Punt de fixació: quina lletra de la paraula s'ha de ressaltar i alinear amb la guia.
+
+// Taula clàssica d'Spritz (ORP): [longitud màxima de la paraula, posició de la lletra]
+const SPRITZ_ORP_TABLE = [[1, 0], [5, 1], [9, 2], [13, 3], [Infinity, 4]];
+
+/**
+ * Ajustos per idioma. En català i castellà les paraules són més llargues de mitjana i porten
+ * més informació al final (flexió), de manera que el punt òptim es desplaça una mica més tard
+ * a partir de les paraules mitjanes.
+ */
+const LANGUAGE_RULES = {
+    en: { orpTable: SPRITZ_ORP_TABLE },
+    ca: { orpTable: [[1, 0], [5, 1], [8, 2], [11, 3], [15, 4], [Infinity, 5]] },
+    es: { orpTable: [[1, 0], [5, 1], [8, 2], [11, 3], [15, 4], [Infinity, 5]] }
+};
+
+/**
+ * Estratègies disponibles. Cada una rep el nombre de lletres de la paraula i les regles
+ * de l'idioma, i retorna la posició (començant per 0) de la lletra de fixació.
+ */
+const strategies = {
+    // Taula ORP, ajustada per idioma
+    orp: (length, rules) => rules.orpTable.find(([maxLength]) => length <= maxLength)[1],
+    // Primer terç de la paraula (el comportament original)
+    third: (length) => Math.floor(length / 3),
+    // Lletra central
+    center: (length) => Math.floor((length - 1) / 2)
+};
+
+export const DEFAULT_FOCUS_STRATEGY = 'orp';
+
+/**
+ * Noms de les estratègies registrades.
+ * @returns {string[]}
+ */
+export function getFocusStrategies() {
+    return Object.keys(strategies);
+}
+
+/**
+ * Afegeix (o substitueix) una estratègia de fixació.
+ * @param {string} name - Nom de l'estratègia.
+ * @param {(length: number, rules: Object) => number} pick - Retorna la posició de la lletra de fixació.
+ */
+export function registerFocusStrategy(name, pick) {
+    strategies[name] = pick;
+}
+
+/**
+ * Calcula el rang de caràcters que s'ha de ressaltar.
+ * Només compten les lletres i xifres: s'ignoren apòstrofs, guionets i el punt volat de la ela geminada (l·l),
+ * i cada lletra inclou els accents combinats que la segueixen (textos en forma NFD).
+ * @param {string} word - Paraula nua (sense puntuació exterior).
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Nom de l'estratègia ('orp', 'third', 'center').
+ * @param {string} [options.lang] - Idioma del text ('ca', 'es', 'en').
+ * @returns {{start: number, end: number}} - Posicions [start, end) dins de `word`.
+ */
+export function getFocusRange(word, { strategy = DEFAULT_FOCUS_STRATEGY, lang = 'ca' } = {}) {
+    const clusters = [...word.matchAll(/\P{M}\p{M}*/gu)];
+    const letters = clusters.filter(([cluster]) => /[\p{L}\p{N}]/u.test(cluster));
+    if (letters.length === 0) {
+        return { start: 0, end: clusters[0]?.[0].length || 0 };
+    }
+
+    const pick = strategies[strategy] || strategies[DEFAULT_FOCUS_STRATEGY];
+    const rules = LANGUAGE_RULES[lang] || LANGUAGE_RULES.en;
+    const position = Math.max(0, Math.min(pick(letters.length, rules), letters.length - 1));
+    const { index, 0: letter } = letters[position];
+    return { start: index, end: index + letter.length };
+}
@@ -0,0 +1,453 @@
+// Historial de sessions: registre local, estadístiques, tauler de progrés i exportació/importació.
+import i18next from './i18n.js';
+import { setStorageItem } from './storage.js';
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Identificador únic (per no duplicar sessions en importar).
+ * @property {string} date - Data d'inici en format ISO.
+ * @property {string} title - Títol del text.
+ * @property {number} words - Paraules del text.
+ * @property {number} wordsRead - Paraules mostrades fins al final o fins a aturar la sessió.
+ * @property {number} startWPM - Velocitat inicial.
+ * @property {number} targetWPM - Velocitat objectiu.
+ * @property {number} averageWPM - Velocitat mitjana real (paraules llegides / temps reproduït).
+ * @property {number} duration - Temps reproduït, en segons (sense les pauses).
+ * @property {boolean} completed - Si s'ha llegit el text sencer o s'ha aturat abans.
+ * @property {number|null} quizScore - Percentatge d'encerts del qüestionari, si n'hi ha hagut.
+ */
+
+// Ordre de les columnes en CSV
+const SESSION_FIELDS = ['id', 'date', 'title', 'words', 'wordsRead', 'startWPM', 'targetWPM', 'averageWPM', 'duration', 'completed', 'quizScore'];
+const NUMBER_FIELDS = ['words', 'wordsRead', 'startWPM', 'targetWPM', 'averageWPM', 'duration'];
+
+// Sessions que es llisten al tauler (les més recents)
+const RECENT_SESSIONS = 20;
+
+// Si l'últim intent de desar l'historial ha fallat; el tauler ho avisa fins que es torna a desar bé
+let saveFailed = false;
+
+/**
+ * Carrega l'historial desat, ordenat per data.
+ * @returns {Session[]}
+ */
+export function loadHistory() {
+    try {
+        return JSON.parse(localStorage.getItem('sessionHistory')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Identificador únic per a una sessió nova.
+ * @returns {string}
+ */
+function createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Desa l'historial a localStorage.
+ * @param {Session[]} sessions - Sessions a desar.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+function saveHistory(sessions) {
+    sessions.sort((a, b) => a.date.localeCompare(b.date));
+    saveFailed = !setStorageItem('sessionHistory', JSON.stringify(sessions));
+    return !saveFailed;
+}
+
+/**
+ * Afegeix una sessió a l'historial.
+ * @param {Omit<Session, 'id'>} session - Dades de la sessió.
+ * @returns {string|null} - Identificador de la sessió desada, o null si no s'ha pogut desar.
+ */
+export function addSession(session) {
+    const id = createSessionId();
+    return saveHistory([...loadHistory(), { id, quizScore: null, ...session }]) ? id : null;
+}
+
+/**
+ * Modifica una sessió ja desada (per exemple, per afegir-hi la nota del qüestionari).
+ * @param {string} id - Identificador de la sessió.
+ * @param {Partial<Session>} changes - Camps a canviar.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+export function updateSession(id, changes) {
+    return saveHistory(loadHistory().map(session => session.id === id ? { ...session, ...changes } : session));
+}
+
+/**
+ * Dia local d'una data, com a 'AAAA-MM-DD'.
+ * @param {Date} date - Data.
+ * @returns {string}
+ */
+function getDayKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+/**
+ * Dies seguits amb alguna sessió: la ratxa actual (acaba avui o ahir) i la més llarga.
+ * @param {Session[]} sessions - Historial.
+ * @param {Date} [today=new Date()] - Dia de referència.
+ * @returns {{current: number, longest: number}}
+ */
+export function getStreaks(sessions, today = new Date()) {
+    const days = new Set(sessions.map(session => getDayKey(new Date(session.date))));
+    const previousDay = (key) => {
+        const [year, month, day] = key.split('-').map(Number);
+        return getDayKey(new Date(year, month - 1, day - 1));
+    };
+
+    let longest = 0;
+    days.forEach(day => {
+        // Només es compta des del primer dia de cada ratxa
+        if (days.has(previousDay(day))) return;
+        let length = 1;
+        const [year, month, date] = day.split('-').map(Number);
+        while (days.has(getDayKey(new Date(year, month - 1, date + length)))) length++;
+        longest = Math.max(longest, length);
+    });
+
+    let current = 0;
+    let day = getDayKey(today);
+    if (!days.has(day)) day = previousDay(day);
+    while (days.has(day)) {
+        current++;
+        day = previousDay(day);
+    }
+    return { current, longest };
+}
+
+/**
+ * Millors marques de l'historial. La velocitat mitjana només compta les sessions completades.
+ * @param {Session[]} sessions - Historial.
+ * @returns {{averageWPM: number, targetWPM: number, words: number, quizScore: number|null}}
+ */
+export function getPersonalBests(sessions) {
+    const completed = sessions.filter(session => session.completed);
+    const quizScores = sessions.map(session => session.quizScore).filter(score => score !== null);
+    return {
+        averageWPM: Math.max(0, ...completed.map(session => session.averageWPM)),
+        targetWPM: Math.max(0, ...completed.map(session => session.targetWPM)),
+        words: Math.max(0, ...completed.map(session => session.words)),
+        quizScore: quizScores.length > 0 ? Math.max(...quizScores) : null
+    };
+}
+
+/**
+ * Converteix l'historial a CSV (una fila per sessió, amb capçalera).
+ * @param {Session[]} sessions - Historial.
+ * @returns {string}
+ */
+export function historyToCSV(sessions) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = sessions.map(session => SESSION_FIELDS.map(field => escape(session[field])).join(','));
+    return [SESSION_FIELDS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Llegeix les files d'un CSV (amb camps entre cometes que poden contenir comes i salts de línia).
+ * @param {string} text - Contingut CSV.
+ * @returns {string[][]}
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Valida i neteja una sessió importada.
+ * @param {Object} raw - Sessió tal com ve del fitxer.
+ * @returns {Session|null} - La sessió, o null si no és vàlida.
+ */
+function normalizeSession(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const date = new Date(raw.date);
+    if (isNaN(date.getTime())) return null;
+
+    const session = {
+        id: raw.id ? String(raw.id) : createSessionId(),
+        date: date.toISOString(),
+        title: String(raw.title ?? ''),
+        completed: raw.completed === true || raw.completed === 'true',
+        quizScore: raw.quizScore === null || raw.quizScore === undefined || raw.quizScore === '' ? null : Number(raw.quizScore)
+    };
+    for (const field of NUMBER_FIELDS) {
+        session[field] = Number(raw[field]);
+        if (!Number.isFinite(session[field])) return null;
+    }
+    if (session.quizScore !== null && !Number.isFinite(session.quizScore)) return null;
+    return session;
+}
+
+/**
+ * Interpreta un fitxer d'historial exportat en JSON o CSV.
+ * @param {string} text - Contingut del fitxer.
+ * @returns {Session[]}
+ * @throws {Error} Si el fitxer no té cap sessió vàlida o alguna fila és incorrecta.
+ */
+export function parseHistory(text) {
+    let records;
+    if (/^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        records = Array.isArray(data) ? data : data.sessions;
+    } else {
+        const [header, ...rows] = parseCSVRows(text);
+        records = rows.map(cells => Object.fromEntries(header.map((field, index) => [field.trim(), cells[index]])));
+    }
+
+    if (!Array.isArray(records)) throw new Error('Invalid history file');
+    const sessions = records.map(normalizeSession);
+    if (sessions.length === 0 || sessions.includes(null)) throw new Error('Invalid history file');
+    return sessions;
+}
+
+/**
+ * Dades que identifiquen una sessió encara que no tingui identificador (fitxers fets a mà o d'altres eines).
+ * @param {Session} session - Sessió.
+ * @returns {string}
+ */
+function getSessionSignature(session) {
+    return JSON.stringify([session.date, session.title, session.words, session.wordsRead, session.duration, session.completed]);
+}
+
+/**
+ * Afegeix a l'historial les sessions importades que encara no hi són, ni pel mateix identificador
+ * ni per les mateixes dades (per exemple, en importar dues vegades un CSV sense identificadors).
+ * @param {Session[]} sessions - Sessions importades.
+ * @returns {number|null} - Sessions afegides, o null si no s'han pogut desar.
+ */
+export function importSessions(sessions) {
+    const history = loadHistory();
+    const knownIds = new Set(history.map(session => session.id));
+    const knownSignatures = new Set(history.map(getSessionSignature));
+    const added = sessions.filter(session => {
+        const signature = getSessionSignature(session);
+        if (knownIds.has(session.id) || knownSignatures.has(signature)) return false;
+        knownIds.add(session.id);
+        knownSignatures.add(signature);
+        return true;
+    });
+    return saveHistory([...history, ...added]) ? added.length : null;
+}
+
+/**
+ * Descarrega un fitxer generat al navegador.
+ * @param {string} content - Contingut.
+ * @param {string} filename - Nom del fitxer.
+ * @param {string} type - Tipus MIME.
+ */
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Dibuixa l'evolució de la velocitat mitjana (i de l'objectiu) de les sessions completades.
+ * @param {Session[]} sessions - Historial.
+ */
+function renderHistoryChart(sessions) {
+    const svg = document.getElementById('history-chart');
+    const completed = sessions.filter(session => session.completed);
+    const width = 300;
+    const height = 100;
+    const margin = 4;
+
+    const speeds = completed.flatMap(session => [session.averageWPM, session.targetWPM]);
+    const min = Math.min(...speeds);
+    const max = Math.max(...speeds);
+    const range = max - min || 1;
+    const toX = (index) => completed.length > 1
+        ? margin + (index / (completed.length - 1)) * (width - 2 * margin)
+        : width / 2;
+    const toY = (wpm) => height - margin - ((wpm - min) / range) * (height - 2 * margin);
+    const toPoints = (field) => completed
+        .map((session, index) => `${toX(index).toFixed(1)},${toY(session[field]).toFixed(1)}`)
+        .join(' ');
+
+    svg.querySelector('.curve-line').setAttribute('points', toPoints('averageWPM'));
+    svg.querySelector('.history-target').setAttribute('points', toPoints('targetWPM'));
+
+    const figure = svg.closest('figure');
+    figure.hidden = completed.length === 0;
+    if (completed.length === 0) return;
+
+    const formatDate = (session) => new Date(session.date).toLocaleDateString(i18next.resolvedLanguage);
+    document.getElementById('history-chart-min').textContent = i18next.t('controls.wpmCounter', { wpm: Math.round(min) });
+    document.getElementById('history-chart-max').textContent = i18next.t('controls.wpmCounter', { wpm: Math.round(max) });
+    document.getElementById('history-chart-dates').textContent = completed.length > 1
+        ? `${formatDate(completed[0])} – ${formatDate(completed[completed.length - 1])}`
+        : formatDate(completed[0]);
+}
+
+/**
+ * Pinta les estadístiques: sessions, paraules, millors marques i ratxes.
+ * @param {Session[]} sessions - Historial.
+ */
+function renderHistoryStats(sessions) {
+    const bests = getPersonalBests(sessions);
+    const streaks = getStreaks(sessions);
+    const stats = {
+        sessions: sessions.length,
+        wordsRead: sessions.reduce((sum, session) => sum + session.wordsRead, 0),
+        bestAverage: i18next.t('controls.wpmCounter', { wpm: Math.round(bests.averageWPM) }),
+        bestTarget: i18next.t('controls.wpmCounter', { wpm: bests.targetWPM }),
+        longestText: bests.words,
+        bestQuiz: bests.quizScore === null ? '—' : `${bests.quizScore}%`,
+        currentStreak: i18next.t('history.days', { count: streaks.current }),
+        longestStreak: i18next.t('history.days', { count: streaks.longest })
+    };
+
+    document.querySelectorAll('[data-stat]').forEach(element => {
+        element.textContent = stats[element.dataset.stat];
+    });
+}
+
+/**
+ * Llista les sessions més recents.
+ * @param {Session[]} sessions - Historial.
+ */
+function renderHistoryList(sessions) {
+    const body = document.querySelector('#history-list tbody');
+    body.replaceChildren();
+
+    sessions.slice(-RECENT_SESSIONS).reverse().forEach(session => {
+        const row = document.createElement('tr');
+        const minutes = Math.floor(session.duration / 60);
+        const seconds = String(Math.round(session.duration % 60)).padStart(2, '0');
+        [
+            new Date(session.date).toLocaleDateString(i18next.resolvedLanguage),
+            session.title,
+            i18next.t('controls.wpmCounter', { wpm: Math.round(session.averageWPM) }),
+            `${minutes}:${seconds}`,
+            i18next.t(session.completed ? 'history.completed' : 'history.aborted'),
+            session.quizScore === null ? '—' : `${session.quizScore}%`
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Torna a pintar el tauler amb l'historial desat, amb l'avís si l'última sessió no s'ha pogut desar.
+ */
+function renderHistory() {
+    if (saveFailed) document.getElementById('history-message').textContent = i18next.t('history.saveError');
+    const sessions = loadHistory();
+    const isEmpty = sessions.length === 0;
+    document.getElementById('history-empty').hidden = !isEmpty;
+    document.getElementById('history-dashboard').hidden = isEmpty;
+    if (isEmpty) return;
+
+    renderHistoryStats(sessions);
+    renderHistoryChart(sessions);
+    renderHistoryList(sessions);
+}
+
+/**
+ * Mostra o amaga el tauler d'historial.
+ * @param {boolean} visible - Si s'ha de mostrar.
+ */
+export function toggleHistoryPopup(visible) {
+    if (visible) {
+        document.getElementById('history-message').textContent = '';
+        renderHistory();
+    }
+    document.getElementById('history-popup').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Indica si el tauler d'historial és visible.
+ * @returns {boolean}
+ */
+export function isHistoryPopupOpen() {
+    return document.getElementById('history-popup').style.display === 'block';
+}
+
+/**
+ * Connecta el tauler: tancar en fer clic fora, exportar i importar.
+ */
+export function initializeHistory() {
+    const popup = document.getElementById('history-popup');
+    const message = document.getElementById('history-message');
+    const fileInput = document.getElementById('history-import');
+
+    popup.addEventListener('mousedown', (e) => {
+        if (e.target === popup) toggleHistoryPopup(false);
+    });
+
+    const today = () => getDayKey(new Date());
+    document.getElementById('history-export-json').addEventListener('click', () => {
+        downloadFile(JSON.stringify(loadHistory(), null, 2), `speeedr-history-${today()}.json`, 'application/json');
+    });
+    document.getElementById('history-export-csv').addEventListener('click', () => {
+        downloadFile(historyToCSV(loadHistory()), `speeedr-history-${today()}.csv`, 'text/csv');
+    });
+
+    document.getElementById('history-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (!file) return;
+        try {
+            const added = importSessions(parseHistory(await file.text()));
+            if (added !== null) message.textContent = i18next.t('history.imported', { count: added });
+            renderHistory();
+        } catch (error) {
+            console.error('No s\'ha pogut importar l\'historial', error);
+            message.textContent = i18next.t('history.importError');
+        }
+        fileInput.value = '';
+    });
+
+    i18next.on('languageChanged', () => {
+        if (isHistoryPopupOpen()) renderHistory();
+    });
+}
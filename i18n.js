@@ -1,27 +1,79 @@
 // i18n.js
-import i18next from 'i18next';
-import LanguageDetector from 'i18next-browser-languagedetector';
-
-import translationCA from './locales/ca.json';
-import translationES from './locales/es.json';
-import translationEN from './locales/en.json';
-
-i18next
-    .use(LanguageDetector)
-    .init({
-        debug: true,
-        fallbackLng: 'ca',
-        resources: {
-            ca: {
-                translation: translationCA
-            },
-            es: {
-                translation: translationES
+// Còpies locals (vegeu scripts/vendor.js), perquè l'aplicació també funcioni sense xarxa
+import i18next from './vendor/i18next/i18next.js';
+import LanguageDetector from './vendor/i18next-browser-languagedetector/i18nextBrowserLanguageDetector.js';
+
+// Idiomes disponibles (cal un fitxer locales/<codi>.json per a cadascun)
+export const SUPPORTED_LANGUAGES = ['ca', 'es', 'en'];
+
+/**
+ * Carrega el fitxer de traduccions d'un idioma.
+ * @param {string} lang - Codi de l'idioma.
+ * @returns {Promise<Object>} - Traduccions de l'idioma.
+ */
+async function loadLocale(lang) {
+    const response = await fetch(new URL(`./locales/${lang}.json`, import.meta.url));
+    return response.json();
+}
+
+/**
+ * Inicialitza i18next amb tots els idiomes. L'idioma triat es desa a localStorage ('language').
+ * @returns {Promise<void>}
+ */
+export async function initI18n() {
+    const resources = {};
+    await Promise.all(SUPPORTED_LANGUAGES.map(async (lang) => {
+        resources[lang] = { translation: await loadLocale(lang) };
+    }));
+
+    await i18next
+        .use(LanguageDetector)
+        .init({
+            fallbackLng: 'ca',
+            // Els textos es posen amb textContent, no cal escapar-los (els títols poden portar apòstrofs)
+            interpolation: { escapeValue: false },
+            supportedLngs: SUPPORTED_LANGUAGES,
+            load: 'languageOnly',
+            detection: {
+                order: ['localStorage', 'navigator'],
+                lookupLocalStorage: 'language',
+                caches: ['localStorage']
             },
-            en: {
-                translation: translationEN
+            resources
+        });
+
+    document.documentElement.lang = i18next.resolvedLanguage;
+    i18next.on('languageChanged', () => {
+        document.documentElement.lang = i18next.resolvedLanguage;
+    });
+}
+
+/**
+ * Tradueix tots els elements amb l'atribut data-i18n.
+ * Format: "clau" per al contingut de text, "[atribut]clau" per a un atribut,
+ * i diverses entrades separades per ';' (p. ex. "[title]common.start;[aria-label]common.start").
+ * @param {ParentNode} root - Element a partir del qual es busquen els elements.
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.dataset.i18n.split(';').forEach(entry => {
+            const match = entry.trim().match(/^\[([\w-]+)\](.+)$/);
+            if (match) {
+                element.setAttribute(match[1], i18next.t(match[2]));
+            } else {
+                element.textContent = i18next.t(entry.trim());
             }
-        }
+        });
     });
+}
+
+/**
+ * Canvia l'idioma de la interfície i el desa.
+ * @param {string} lang - Codi de l'idioma.
+ * @returns {Promise}
+ */
+export function setLanguage(lang) {
+    return i18next.changeLanguage(lang);
+}
 
 export default i18next;
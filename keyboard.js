@@ -0,0 +1,263 @@
+// Capa d'ordres de teclat: associa tecles a ordres del lector i permet personalitzar-les.
+import i18next from './i18n.js';
+import { setStorageItem } from './storage.js';
+
+/**
+ * Mapa de tecles per defecte (ordre → tecla).
+ *
+ * Format de les tecles:
+ * - Caràcters imprimibles tal com els escriu el teclat: 't', '+', '?' (la majúscula és una tecla diferent).
+ * - Tecles amb nom segons `KeyboardEvent.key`: 'ArrowLeft', 'PageUp', 'Escape'... L'espai és 'Space'.
+ * - Modificadors davant, separats per '+': 'Shift+ArrowLeft', 'Ctrl+Alt+p'.
+ *   Shift només s'indica per a tecles amb nom, ja que en els caràcters ja hi és implícit.
+ *
+ * | Ordre          | Tecla            | Acció                                  |
+ * |----------------|------------------|----------------------------------------|
+ * | togglePlay     | Space            | Començar, pausar o continuar           |
+ * | stop           | s                | Aturar la sessió                       |
+ * | prevWord       | ArrowLeft        | Paraula anterior                       |
+ * | nextWord       | ArrowRight       | Paraula següent                        |
+ * | prevSentence   | Shift+ArrowLeft  | Frase anterior                         |
+ * | nextSentence   | Shift+ArrowRight | Frase següent                          |
+ * | prevParagraph  | PageUp           | Paràgraf anterior                      |
+ * | nextParagraph  | PageDown         | Paràgraf següent                       |
+ * | faster         | ArrowUp          | Augmentar la velocitat (+25 PPM)       |
+ * | slower         | ArrowDown        | Reduir la velocitat (-25 PPM)          |
+ * | fontLarger     | +                | Augmentar la mida de la lletra         |
+ * | fontSmaller    | -                | Reduir la mida de la lletra            |
+ * | toggleTheme    | t                | Canviar entre mode clar i fosc         |
+ * | toggleConfig   | c                | Obrir o tancar la configuració         |
+ * | showShortcuts  | ?                | Mostrar aquesta llista de dreceres     |
+ * | showHistory    | h                | Obrir o tancar l'historial de sessions |
+ * | showLibrary    | l                | Obrir o tancar la biblioteca de textos |
+ * | showAppearance | a                | Obrir o tancar el panell d'aparença    |
+ *
+ * Escape sempre tanca el popup obert i no es pot reassignar.
+ * Els noms visibles de les ordres són a les traduccions, a `shortcuts.commands.<ordre>`.
+ */
+export const DEFAULT_KEY_MAP = {
+    togglePlay: 'Space',
+    stop: 's',
+    prevWord: 'ArrowLeft',
+    nextWord: 'ArrowRight',
+    prevSentence: 'Shift+ArrowLeft',
+    nextSentence: 'Shift+ArrowRight',
+    prevParagraph: 'PageUp',
+    nextParagraph: 'PageDown',
+    faster: 'ArrowUp',
+    slower: 'ArrowDown',
+    fontLarger: '+',
+    fontSmaller: '-',
+    toggleTheme: 't',
+    toggleConfig: 'c',
+    showShortcuts: '?',
+    showHistory: 'h',
+    showLibrary: 'l',
+    showAppearance: 'a'
+};
+
+// Ordres que es repeteixen mentre es manté la tecla premuda
+const REPEATABLE_COMMANDS = ['prevWord', 'nextWord', 'faster', 'slower', 'fontLarger', 'fontSmaller'];
+
+// Símbols per mostrar les tecles amb nom
+const KEY_SYMBOLS = {
+    Space: '␣',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+let keyMap = loadKeyMap();
+let commandHandlers = {};
+let capturingCommand = null;
+
+/**
+ * Carrega el mapa de tecles desat, completat amb els valors per defecte.
+ * @returns {Object<string, string>} - Mapa ordre → tecla.
+ */
+export function loadKeyMap() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('keyMap')) || {};
+        return { ...DEFAULT_KEY_MAP, ...saved };
+    } catch {
+        return { ...DEFAULT_KEY_MAP };
+    }
+}
+
+/**
+ * Desa el mapa de tecles actual a localStorage.
+ */
+function saveKeyMap() {
+    setStorageItem('keyMap', JSON.stringify(keyMap));
+}
+
+/**
+ * Assigna una tecla a una ordre. Si la tecla ja estava assignada a una altra ordre, aquesta queda sense tecla.
+ * @param {string} command - Nom de l'ordre.
+ * @param {string} key - Tecla en el format de DEFAULT_KEY_MAP.
+ */
+export function setKeyBinding(command, key) {
+    Object.keys(keyMap).forEach(other => {
+        if (keyMap[other] === key) keyMap[other] = '';
+    });
+    keyMap[command] = key;
+    saveKeyMap();
+}
+
+/**
+ * Restaura totes les tecles per defecte.
+ */
+export function resetKeyMap() {
+    keyMap = { ...DEFAULT_KEY_MAP };
+    localStorage.removeItem('keyMap');
+}
+
+/**
+ * Converteix un esdeveniment de teclat en una tecla normalitzada.
+ * @param {KeyboardEvent} e - Esdeveniment de teclat.
+ * @returns {string} - Tecla amb els modificadors (p. ex. 'Shift+ArrowLeft').
+ */
+export function keyFromEvent(e) {
+    const key = e.key === ' ' ? 'Space' : e.key;
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.metaKey) modifiers.push('Meta');
+    // En els caràcters imprimibles el Shift ja forma part de la tecla ('?', 'T')
+    if (e.shiftKey && key.length > 1) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * Format llegible d'una tecla per mostrar-la a la interfície.
+ * @param {string} key - Tecla normalitzada.
+ * @returns {string} - Text per mostrar.
+ */
+export function formatKey(key) {
+    if (!key) return '—';
+    return key.split('+').map(part => KEY_SYMBOLS[part] || part).join(' + ');
+}
+
+/**
+ * Indica si l'esdeveniment prové d'un camp on l'usuari està escrivint.
+ * @param {EventTarget} target - Element que ha rebut la tecla.
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Gestor global de tecles: executa l'ordre associada a la tecla premuda.
+ * @param {KeyboardEvent} e - Esdeveniment de teclat.
+ */
+function handleKeydown(e) {
+    // Mentre es reassigna una tecla, el popup de dreceres s'emporta l'esdeveniment
+    if (capturingCommand) return;
+
+    if (e.key === 'Escape') {
+        commandHandlers.closePopups?.();
+        return;
+    }
+    if (isTypingTarget(e.target)) return;
+
+    const key = keyFromEvent(e);
+    const command = Object.keys(keyMap).find(name => keyMap[name] === key);
+    if (!command || !commandHandlers[command]) return;
+
+    e.preventDefault();
+    // Evitar que un botó amb el focus també s'activi en deixar anar la tecla
+    if (e.target instanceof HTMLButtonElement) e.target.blur();
+    if (e.repeat && !REPEATABLE_COMMANDS.includes(command)) return;
+    commandHandlers[command]();
+}
+
+/**
+ * Omple la taula del popup de dreceres amb el mapa actual.
+ */
+function renderShortcutsList() {
+    const list = document.getElementById('shortcuts-list');
+    list.innerHTML = '';
+
+    Object.keys(DEFAULT_KEY_MAP).forEach(command => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = i18next.t(`shortcuts.commands.${command}`);
+
+        const keyCell = document.createElement('td');
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'shortcut-key';
+        keyBtn.textContent = capturingCommand === command ? i18next.t('shortcuts.pressKey') : formatKey(keyMap[command]);
+        keyBtn.addEventListener('click', () => captureKey(command));
+        keyCell.appendChild(keyBtn);
+
+        row.append(label, keyCell);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Espera la següent tecla premuda i l'assigna a l'ordre. Escape cancel·la la captura.
+ * @param {string} command - Ordre a reassignar.
+ */
+function captureKey(command) {
+    capturingCommand = command;
+    renderShortcutsList();
+
+    const onKey = (e) => {
+        // Ignorar els modificadors sols: s'espera la tecla completa
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        document.removeEventListener('keydown', onKey, true);
+
+        if (e.key !== 'Escape') setKeyBinding(command, keyFromEvent(e));
+        capturingCommand = null;
+        renderShortcutsList();
+    };
+    document.addEventListener('keydown', onKey, true);
+}
+
+/**
+ * Mostra u oculta el popup de dreceres de teclat.
+ * @param {boolean} visible - Estat de visibilitat.
+ */
+export function toggleShortcutsPopup(visible) {
+    const popup = document.getElementById('shortcuts-popup');
+    if (visible) renderShortcutsList();
+    popup.style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Indica si el popup de dreceres és visible.
+ * @returns {boolean}
+ */
+export function isShortcutsPopupOpen() {
+    return document.getElementById('shortcuts-popup').style.display === 'block';
+}
+
+/**
+ * Activa la capa d'ordres de teclat.
+ * @param {Object<string, Function>} handlers - Funció per a cada ordre de DEFAULT_KEY_MAP, més `closePopups` per a Escape.
+ */
+export function initializeKeyboardShortcuts(handlers) {
+    commandHandlers = handlers;
+    document.addEventListener('keydown', handleKeydown);
+
+    const popup = document.getElementById('shortcuts-popup');
+    // Tancar en fer clic fora del contingut
+    popup.addEventListener('mousedown', (e) => {
+        if (e.target === popup) toggleShortcutsPopup(false);
+    });
+
+    document.getElementById('shortcuts-reset').addEventListener('click', () => {
+        resetKeyMap();
+        renderShortcutsList();
+    });
+
+    i18next.on('languageChanged', () => {
+        if (isShortcutsPopupOpen()) renderShortcutsList();
+    });
+}
@@ -0,0 +1,374 @@
+// Biblioteca de textos: textos propis desats al navegador, textos de mostra i marcadors de lectura.
+import i18next, { SUPPORTED_LANGUAGES } from './i18n.js';
+import { sampleTexts } from './sample-texts.js';
+import { detectLanguage, tokenizeText, countWords } from './tokenizer.js';
+import { getTextKey } from './text-key.js';
+import { setStorageItem } from './storage.js';
+
+/**
+ * @typedef {Object} LibraryText
+ * @property {string} id - Identificador ('user:…' per als textos propis, la clau de `sampleTexts` per als de mostra).
+ * @property {string} title - Títol.
+ * @property {string} text - Contingut.
+ * @property {string[]} tags - Etiquetes.
+ * @property {string} lang - Idioma detectat ('ca', 'es', 'en').
+ * @property {boolean} builtIn - Si és un text de mostra (no es pot modificar).
+ */
+
+/**
+ * @typedef {Object} Bookmark
+ * @property {number} word - Índex de la paraula on es va deixar la lectura (sense comptar els trossos de paraules dividides).
+ * @property {number} total - Paraules del text.
+ */
+
+let libraryHandlers = {};
+
+/**
+ * Textos propis desats.
+ * @returns {LibraryText[]}
+ */
+function loadUserTexts() {
+    try {
+        return JSON.parse(localStorage.getItem('textLibrary')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Desa els textos propis. Si el navegador no té prou espai, no es desa res.
+ * @param {LibraryText[]} texts - Textos propis.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+function saveUserTexts(texts) {
+    return setStorageItem('textLibrary', JSON.stringify(texts));
+}
+
+/**
+ * Tots els textos: primer els de mostra i després els propis, ordenats per títol.
+ * @returns {LibraryText[]}
+ */
+export function getLibraryTexts() {
+    const samples = Object.entries(sampleTexts).map(([key, { title, text }]) => ({
+        id: key,
+        title,
+        text,
+        tags: [],
+        lang: detectLanguage(text),
+        builtIn: true
+    }));
+    const userTexts = loadUserTexts().map(entry => ({ ...entry, builtIn: false }));
+    return [...samples, ...userTexts.sort((a, b) => a.title.localeCompare(b.title))];
+}
+
+/**
+ * Busca un text de la biblioteca.
+ * @param {string} id - Identificador del text.
+ * @returns {LibraryText|undefined}
+ */
+export function getLibraryText(id) {
+    return getLibraryTexts().find(entry => entry.id === id);
+}
+
+/**
+ * Busca el text de la biblioteca amb aquest contingut.
+ * @param {string} text - Contingut.
+ * @returns {LibraryText|undefined}
+ */
+export function findLibraryText(text) {
+    const key = getTextKey(text);
+    return getLibraryTexts().find(entry => getTextKey(entry.text) === key);
+}
+
+/**
+ * Afegeix un text propi a la biblioteca.
+ * @param {Object} entry
+ * @param {string} entry.title - Títol.
+ * @param {string} entry.text - Contingut.
+ * @param {string[]} [entry.tags=[]] - Etiquetes.
+ * @returns {LibraryText|null} - El text desat, o null si no hi havia prou espai.
+ */
+export function addLibraryText({ title, text, tags = [] }) {
+    const entry = {
+        id: `user:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        title,
+        text,
+        tags,
+        lang: detectLanguage(text)
+    };
+    return saveUserTexts([...loadUserTexts(), entry]) ? { ...entry, builtIn: false } : null;
+}
+
+/**
+ * Canvia el títol o les etiquetes d'un text propi.
+ * @param {string} id - Identificador del text.
+ * @param {{title?: string, tags?: string[]}} changes - Camps a canviar.
+ */
+export function updateLibraryText(id, changes) {
+    saveUserTexts(loadUserTexts().map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+}
+
+/**
+ * Esborra un text propi (i el seu marcador).
+ * @param {string} id - Identificador del text.
+ */
+export function deleteLibraryText(id) {
+    const entry = loadUserTexts().find(other => other.id === id);
+    if (entry) clearBookmark(entry.text);
+    saveUserTexts(loadUserTexts().filter(other => other.id !== id));
+}
+
+/**
+ * Separa les etiquetes escrites amb comes.
+ * @param {string} value - Etiquetes separades per comes.
+ * @returns {string[]}
+ */
+function parseTags(value) {
+    return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Marcadors desats, per clau de text.
+ * @returns {Object<string, Bookmark>}
+ */
+function loadBookmarks() {
+    try {
+        return JSON.parse(localStorage.getItem('bookmarks')) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Marcador d'un text, si se n'ha deixat la lectura a mitges.
+ * @param {string} text - Contingut del text.
+ * @returns {Bookmark|null}
+ */
+export function loadBookmark(text) {
+    return loadBookmarks()[getTextKey(text)] || null;
+}
+
+/**
+ * Desa on s'ha deixat la lectura d'un text.
+ * @param {string} text - Contingut del text.
+ * @param {Bookmark} bookmark - Posició.
+ */
+export function saveBookmark(text, bookmark) {
+    const bookmarks = loadBookmarks();
+    bookmarks[getTextKey(text)] = bookmark;
+    setStorageItem('bookmarks', JSON.stringify(bookmarks));
+}
+
+/**
+ * Esborra el marcador d'un text (per exemple, en acabar-lo).
+ * @param {string} text - Contingut del text.
+ */
+export function clearBookmark(text) {
+    const bookmarks = loadBookmarks();
+    delete bookmarks[getTextKey(text)];
+    setStorageItem('bookmarks', JSON.stringify(bookmarks));
+}
+
+/**
+ * Agrupa els textos per idioma, en l'ordre dels idiomes de la interfície.
+ * @param {LibraryText[]} texts - Textos.
+ * @returns {Array<[string, LibraryText[]]>}
+ */
+export function groupByLanguage(texts) {
+    const groups = new Map();
+    texts.forEach(entry => {
+        if (!groups.has(entry.lang)) groups.set(entry.lang, []);
+        groups.get(entry.lang).push(entry);
+    });
+    return [...groups.entries()].sort(([a], [b]) => SUPPORTED_LANGUAGES.indexOf(a) - SUPPORTED_LANGUAGES.indexOf(b));
+}
+
+/**
+ * Filtra els textos pel títol o les etiquetes.
+ * @param {LibraryText[]} texts - Textos.
+ * @param {string} query - Cerca.
+ * @returns {LibraryText[]}
+ */
+export function searchLibrary(texts, query) {
+    const terms = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    return texts.filter(entry => {
+        const haystack = [entry.title, ...entry.tags].join(' ').toLocaleLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+}
+
+/**
+ * Crea un botó de text.
+ * @param {string} key - Clau de traducció de l'etiqueta.
+ * @param {() => void} onClick - Acció.
+ * @returns {HTMLButtonElement}
+ */
+function createButton(key, onClick) {
+    const button = document.createElement('button');
+    button.className = 'text-btn';
+    button.textContent = i18next.t(key);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Element de la llista per a un text: títol i etiquetes (editables si és propi), marcador i accions.
+ * @param {LibraryText} entry - Text.
+ * @returns {HTMLLIElement}
+ */
+function renderLibraryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    if (entry.builtIn) {
+        const title = document.createElement('span');
+        title.className = 'library-title';
+        title.textContent = entry.title;
+        const badge = document.createElement('span');
+        badge.className = 'library-badge';
+        badge.textContent = i18next.t('library.sample');
+        item.append(title, badge);
+    } else {
+        const title = document.createElement('input');
+        title.type = 'text';
+        title.className = 'library-title';
+        title.value = entry.title;
+        title.setAttribute('aria-label', i18next.t('library.rename'));
+        title.addEventListener('change', () => {
+            if (!title.value.trim()) {
+                title.value = entry.title;
+                return;
+            }
+            updateLibraryText(entry.id, { title: title.value.trim() });
+            libraryHandlers.onChange();
+        });
+
+        const tags = document.createElement('input');
+        tags.type = 'text';
+        tags.className = 'library-tags';
+        tags.value = entry.tags.join(', ');
+        tags.placeholder = i18next.t('library.tagsPlaceholder');
+        tags.setAttribute('aria-label', i18next.t('library.tags'));
+        tags.addEventListener('change', () => {
+            updateLibraryText(entry.id, { tags: parseTags(tags.value) });
+        });
+        item.append(title, tags);
+    }
+
+    const details = document.createElement('span');
+    details.className = 'library-details';
+    const words = countWords(tokenizeText(entry.text));
+    const bookmark = loadBookmark(entry.text);
+    details.textContent = bookmark
+        ? i18next.t('library.bookmark', { percentage: Math.round((bookmark.word / bookmark.total) * 100), count: words })
+        : i18next.t('settings.wordCount', { count: words });
+
+    const actions = document.createElement('span');
+    actions.className = 'library-actions';
+    actions.appendChild(createButton('library.open', () => {
+        libraryHandlers.onOpen(entry);
+        toggleLibraryPopup(false);
+    }));
+    if (!entry.builtIn) {
+        // Esborrar demana un segon clic per confirmar
+        const remove = createButton('library.delete', () => {
+            if (remove.dataset.confirm) {
+                deleteLibraryText(entry.id);
+                libraryHandlers.onChange();
+                renderLibrary();
+            } else {
+                remove.dataset.confirm = 'true';
+                remove.textContent = i18next.t('library.confirmDelete');
+            }
+        });
+        actions.appendChild(remove);
+    }
+
+    item.append(details, actions);
+    return item;
+}
+
+/**
+ * Pinta la llista de textos que coincideixen amb la cerca, agrupats per idioma.
+ */
+function renderLibrary() {
+    const list = document.getElementById('library-list');
+    const query = document.getElementById('library-search').value;
+    const texts = searchLibrary(getLibraryTexts(), query);
+    list.replaceChildren();
+
+    groupByLanguage(texts).forEach(([lang, entries]) => {
+        const heading = document.createElement('h4');
+        heading.textContent = i18next.t(`library.languages.${lang}`);
+        const group = document.createElement('ul');
+        group.className = 'library-group';
+        entries.forEach(entry => group.appendChild(renderLibraryItem(entry)));
+        list.append(heading, group);
+    });
+
+    document.getElementById('library-empty').hidden = texts.length > 0;
+}
+
+/**
+ * Mostra o amaga la biblioteca.
+ * @param {boolean} visible - Si s'ha de mostrar.
+ */
+export function toggleLibraryPopup(visible) {
+    if (visible) {
+        document.getElementById('library-message').textContent = '';
+        renderLibrary();
+    }
+    document.getElementById('library-popup').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Indica si la biblioteca és visible.
+ * @returns {boolean}
+ */
+export function isLibraryPopupOpen() {
+    return document.getElementById('library-popup').style.display === 'block';
+}
+
+/**
+ * Connecta la biblioteca.
+ * @param {Object} handlers
+ * @param {() => {title: string, text: string}} handlers.getCurrentText - Text del camp de lectura i títol proposat.
+ * @param {(entry: LibraryText) => void} handlers.onOpen - Carrega un text per llegir-lo.
+ * @param {() => void} handlers.onChange - La biblioteca ha canviat (per refrescar el selector de textos).
+ */
+export function initializeLibrary(handlers) {
+    libraryHandlers = handlers;
+    const popup = document.getElementById('library-popup');
+    const message = document.getElementById('library-message');
+
+    popup.addEventListener('mousedown', (e) => {
+        if (e.target === popup) toggleLibraryPopup(false);
+    });
+    document.getElementById('library-search').addEventListener('input', renderLibrary);
+
+    document.getElementById('library-add').addEventListener('click', () => {
+        const { title, text } = handlers.getCurrentText();
+        if (!text.trim()) {
+            message.textContent = i18next.t('library.noText');
+            return;
+        }
+        const existing = findLibraryText(text);
+        if (existing) {
+            message.textContent = i18next.t('library.alreadySaved', { title: existing.title });
+            return;
+        }
+        const tags = parseTags(document.getElementById('library-new-tags').value);
+        if (!addLibraryText({ title, text, tags })) {
+            message.textContent = i18next.t('library.quotaExceeded');
+            return;
+        }
+        document.getElementById('library-new-tags').value = '';
+        message.textContent = i18next.t('library.saved', { title });
+        handlers.onChange();
+        renderLibrary();
+    });
+
+    i18next.on('languageChanged', () => {
+        if (isLibraryPopupOpen()) renderLibrary();
+    });
+}
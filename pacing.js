@@ -0,0 +1,164 @@
+// Model de ritme: quant de temps es mostra cada paraula segons la puntuació, la longitud i el tipus de paraula.
+import { setStorageItem } from './storage.js';
+
+/**
+ * Pesos per defecte. Els multiplicadors s'apliquen sobre el temps base d'una paraula (60000 / PPM).
+ * - period, exclamation, semicolon, comma: pausa després de . … / ! ? / ; : / , — –
+ * - paragraph: pausa en acabar un paràgraf (substitueix la de la puntuació)
+ * - longWordLength, longWordExtra: temps extra per cada lletra que passa de la longitud indicada
+ * - number, properNoun: xifres i noms propis (majúscula que no comença frase)
+ * - microPauseEvery, microPause: pausa breu cada N paraules (0 per desactivar-la)
+ * - matchTarget: reescalar els temps perquè la mitjana real coincideixi amb la velocitat triada
+ */
+export const DEFAULT_PACING = {
+    period: 2.5,
+    exclamation: 2.2,
+    semicolon: 2.0,
+    comma: 1.8,
+    paragraph: 3.0,
+    longWordLength: 8,
+    longWordExtra: 0.05,
+    number: 1.5,
+    properNoun: 1.2,
+    microPauseEvery: 0,
+    microPause: 1.5,
+    matchTarget: true
+};
+
+// Valors que anul·len l'efecte de cada ajust (per calcular-ne la vista prèvia)
+const NEUTRAL_PACING = {
+    period: 1,
+    exclamation: 1,
+    semicolon: 1,
+    comma: 1,
+    paragraph: 1,
+    longWordExtra: 0,
+    number: 1,
+    properNoun: 1,
+    microPauseEvery: 0
+};
+
+/**
+ * @typedef {Object} PacingPlan
+ * @property {number[]} weights - Multiplicador de cada paraula.
+ * @property {number} scale - Factor de correcció perquè la mitjana coincideixi amb la velocitat objectiu (1 si no es corregeix).
+ */
+
+/**
+ * Carrega els pesos desats, completats amb els valors per defecte.
+ * @returns {Object} - Configuració del ritme.
+ */
+export function loadPacingSettings() {
+    try {
+        return { ...DEFAULT_PACING, ...JSON.parse(localStorage.getItem('pacingSettings')) };
+    } catch {
+        return { ...DEFAULT_PACING };
+    }
+}
+
+/**
+ * Desa els pesos a localStorage.
+ * @param {Object} settings - Configuració del ritme.
+ */
+export function savePacingSettings(settings) {
+    setStorageItem('pacingSettings', JSON.stringify(settings));
+}
+
+/**
+ * Multiplicador de temps d'una paraula.
+ * @param {import('./tokenizer.js').Token} token - Paraula actual.
+ * @param {import('./tokenizer.js').Token|undefined} previous - Paraula anterior (per saber si comença frase).
+ * @param {Object} settings - Configuració del ritme.
+ * @returns {number}
+ */
+export function getWordWeight(token, previous, settings) {
+    const { trailing, word } = token;
+    let weight = 1;
+
+    // Pausas adicionales para fin de párrafo y signos de puntuación
+    if (token.paragraphEnd) weight = settings.paragraph;
+    else if (/[.…]/.test(trailing)) weight = settings.period;
+    else if (/[!?]/.test(trailing)) weight = settings.exclamation;
+    else if (/[;:]/.test(trailing)) weight = settings.semicolon;
+    else if (/[,—–]/.test(trailing)) weight = settings.comma;
+
+    const letters = (word.match(/[\p{L}\p{N}]/gu) || []).length;
+    if (letters > settings.longWordLength) {
+        weight *= 1 + settings.longWordExtra * (letters - settings.longWordLength);
+    }
+
+    if (token.isNumber) {
+        weight *= settings.number;
+    } else if (/^\p{Lu}/u.test(word) && previous && !previous.sentenceEnd && token.part === 0) {
+        weight *= settings.properNoun;
+    }
+
+    // Micro-pausa en acabar cada bloc de N paraules
+    const isWordEnd = token.part === token.parts - 1;
+    if (settings.microPauseEvery > 0 && isWordEnd && (token.wordIndex + 1) % settings.microPauseEvery === 0) {
+        weight *= settings.microPause;
+    }
+    return weight;
+}
+
+/**
+ * Calcula els pesos de totes les paraules del text i el factor de correcció.
+ * Sense correcció, un text amb molta puntuació es llegeix més lent del que indica la velocitat;
+ * amb `matchTarget` el temps total és el de llegir totes les paraules a la velocitat triada.
+ * @param {import('./tokenizer.js').Token[]} tokens - Paraules tokenitzades.
+ * @param {Object} settings - Configuració del ritme.
+ * @returns {PacingPlan}
+ */
+export function createPacingPlan(tokens, settings) {
+    const weights = tokens.map((token, index) => getWordWeight(token, tokens[index - 1], settings));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const words = tokens.filter(token => token.part === 0).length;
+    const scale = settings.matchTarget && total > 0 ? words / total : 1;
+    return { weights, scale };
+}
+
+/**
+ * Calcula el tiempo de espera (delay) para una palabra.
+ * En mostrar un grup de paraules, el temps és la suma del de cada paraula del grup.
+ * @param {PacingPlan} plan - Pla de ritme del text.
+ * @param {number} index - Índex de la (primera) paraula.
+ * @param {number} wpm - Velocitat actual.
+ * @param {number} [count=1] - Paraules que es mostren alhora.
+ * @returns {number} - Tiempo en milisegundos que la palabra debe permanecer en pantalla.
+ */
+export function calculateWordDelay(plan, index, wpm, count = 1) {
+    const weight = plan.weights.slice(index, index + count).reduce((sum, value) => sum + value, 0);
+    return (60000 / wpm) * weight * plan.scale;
+}
+
+/**
+ * Velocitat mitjana real d'un text llegit a una velocitat constant.
+ * @param {import('./tokenizer.js').Token[]} tokens - Paraules tokenitzades.
+ * @param {Object} settings - Configuració del ritme.
+ * @param {number} wpm - Velocitat triada.
+ * @returns {number} - Paraules per minut efectives.
+ */
+export function estimateEffectiveWPM(tokens, settings, wpm) {
+    if (tokens.length === 0) return wpm;
+    const plan = createPacingPlan(tokens, settings);
+    const totalMs = plan.weights.reduce((sum, weight) => sum + (60000 / wpm) * weight * plan.scale, 0);
+    const words = tokens.filter(token => token.part === 0).length;
+    return words / (totalMs / 60000);
+}
+
+/**
+ * Velocitat efectiva (sense correcció) si només s'apliqués un dels ajustos.
+ * Serveix per veure què aporta cada pes per separat.
+ * @param {import('./tokenizer.js').Token[]} tokens - Paraules tokenitzades.
+ * @param {Object} settings - Configuració del ritme.
+ * @param {string[]} keys - Claus de l'ajust (p. ex. ['longWordLength', 'longWordExtra']).
+ * @param {number} wpm - Velocitat triada.
+ * @returns {number}
+ */
+export function previewSettingWPM(tokens, settings, keys, wpm) {
+    const isolated = { ...settings, ...NEUTRAL_PACING, matchTarget: false };
+    keys.forEach(key => {
+        isolated[key] = settings[key];
+    });
+    return estimateEffectiveWPM(tokens, isolated, wpm);
+}
@@ -0,0 +1,405 @@
+// Configuracions desades: text, velocitats, programa, tema i mida de lletra, amb enllaços per compartir-les.
+import i18next from './i18n.js';
+import { DEFAULT_PROGRAM, SPEED_CURVES } from './speed-programs.js';
+import { getLibraryText } from './library.js';
+import { setStorageItem } from './storage.js';
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name - Nom de la configuració.
+ * @property {string} [textId] - Text de la biblioteca (vegeu library.js).
+ * @property {string} [text] - Text escrit o enganxat, si no és de la biblioteca.
+ * @property {number} startWPM - Velocitat inicial.
+ * @property {number} targetWPM - Velocitat objectiu.
+ * @property {number} rampLength - Durada de l'acceleració, en la unitat del programa.
+ * @property {Object} program - Programa de velocitat (vegeu speed-programs.js).
+ * @property {'light'|'dark'} theme - Tema.
+ * @property {number} fontScale - Valor del control de mida de lletra.
+ */
+
+// Paràmetres de l'enllaç
+const PRESET_PARAM = 'preset';
+const AUTOSTART_PARAM = 'autostart';
+
+// Per sota d'aquesta mida no val la pena comprimir
+const COMPRESS_THRESHOLD = 200;
+
+// Claus curtes de l'enllaç, perquè l'adreça sigui tan breu com es pugui
+const SHORT_KEYS = {
+    name: 'n',
+    textId: 'i',
+    text: 't',
+    startWPM: 's',
+    targetWPM: 'g',
+    rampLength: 'r',
+    program: 'p',
+    theme: 'h',
+    fontScale: 'f'
+};
+
+// Límits dels valors numèrics del programa, els mateixos que els camps del formulari (index.html)
+const PROGRAM_LIMITS = {
+    steps: [2, 20],
+    burstPercent: [100, 200],
+    burstLength: [1, 600],
+    recoveryPercent: [30, 100],
+    recoveryLength: [1, 600]
+};
+
+// Unitats de durada del programa
+const RAMP_UNITS = ['seconds', 'words'];
+
+let presetHandlers = {};
+
+/**
+ * Configuracions desades al navegador.
+ * @returns {Preset[]}
+ */
+export function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem('presets')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Desa les configuracions. Si el navegador no té prou espai, no es desa res.
+ * @param {Preset[]} presets - Configuracions.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+function storePresets(presets) {
+    return setStorageItem('presets', JSON.stringify(presets));
+}
+
+/**
+ * Desa una configuració. Si ja n'hi ha una amb el mateix nom, la substitueix.
+ * @param {Preset} preset - Configuració a desar.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+export function savePreset(preset) {
+    const presets = loadPresets().filter(other => other.name !== preset.name);
+    presets.push(preset);
+    presets.sort((a, b) => a.name.localeCompare(b.name));
+    return storePresets(presets);
+}
+
+/**
+ * Esborra una configuració.
+ * @param {string} name - Nom de la configuració.
+ */
+export function deletePreset(name) {
+    storePresets(loadPresets().filter(preset => preset.name !== name));
+}
+
+/**
+ * Limita un nombre a un interval; si no és un nombre vàlid, torna el valor per defecte.
+ * @param {*} value - Valor llegit.
+ * @param {number} min - Mínim.
+ * @param {number} max - Màxim.
+ * @param {number} fallback - Valor per defecte.
+ * @returns {number}
+ */
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(number, max)) : fallback;
+}
+
+/**
+ * Comprova i completa una configuració llegida d'un enllaç o de localStorage.
+ * Els valors que falten o no són vàlids es substitueixen pels de per defecte.
+ * @param {Object} data - Configuració sense validar.
+ * @returns {Preset}
+ */
+export function normalizePreset(data) {
+    if (!data || typeof data !== 'object') throw new Error('Configuració no vàlida');
+
+    const saved = data.program && typeof data.program === 'object' ? data.program : {};
+    const program = {
+        ...DEFAULT_PROGRAM,
+        curve: SPEED_CURVES.includes(saved.curve) ? saved.curve : DEFAULT_PROGRAM.curve,
+        rampUnit: RAMP_UNITS.includes(saved.rampUnit) ? saved.rampUnit : DEFAULT_PROGRAM.rampUnit
+    };
+    Object.entries(PROGRAM_LIMITS).forEach(([key, [min, max]]) => {
+        if (key in saved) program[key] = Math.round(clampNumber(saved[key], min, max, DEFAULT_PROGRAM[key]));
+    });
+
+    const preset = {
+        name: String(data.name || '').trim().slice(0, 80),
+        startWPM: Math.round(clampNumber(data.startWPM, 50, 1000, 100)),
+        targetWPM: Math.round(clampNumber(data.targetWPM, 50, 1000, 300)),
+        rampLength: Math.round(clampNumber(data.rampLength, 1, program.rampUnit === 'words' ? 2000 : 60, 20)),
+        program,
+        theme: data.theme === 'dark' ? 'dark' : 'light',
+        fontScale: clampNumber(data.fontScale, 2, 12, 5)
+    };
+    if (typeof data.textId === 'string' && data.textId) preset.textId = data.textId;
+    if (typeof data.text === 'string' && data.text.trim()) preset.text = data.text;
+    return preset;
+}
+
+/**
+ * Passa bytes a base64 apte per a adreces (sense `+`, `/` ni `=`).
+ * @param {Uint8Array} bytes - Dades.
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    // Per trossos, per no superar el límit d'arguments de String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inversa de toBase64Url.
+ * @param {string} value - Text en base64 d'adreça.
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Passa bytes per un flux de compressió o descompressió.
+ * @param {Uint8Array} bytes - Dades.
+ * @param {CompressionStream|DecompressionStream} transform - Flux a aplicar.
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Codifica una configuració per posar-la en un enllaç. Els textos de mostra hi van com a
+ * referència; els propis hi van sencers, perquè a l'altre dispositiu no hi són.
+ * Si el resultat és llarg, es comprimeix (prefix `z`; `j` si no ho està).
+ * Del programa només s'hi posen els valors diferents dels per defecte.
+ * @param {Preset} preset - Configuració.
+ * @returns {Promise<string>}
+ */
+export async function encodePreset(preset) {
+    const data = { ...preset };
+    const entry = data.textId ? getLibraryText(data.textId) : null;
+    if (entry && !entry.builtIn) data.text = entry.text;
+    if (!entry?.builtIn) delete data.textId;
+    if (data.textId) delete data.text;
+
+    data.program = Object.fromEntries(Object.entries(preset.program)
+        .filter(([key, value]) => DEFAULT_PROGRAM[key] !== value));
+
+    const compact = {};
+    Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+        if (data[key] !== undefined && data[key] !== '') compact[short] = data[key];
+    });
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+
+    if (bytes.length > COMPRESS_THRESHOLD && typeof CompressionStream !== 'undefined') {
+        const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+        if (compressed.length < bytes.length) return `z${toBase64Url(compressed)}`;
+    }
+    return `j${toBase64Url(bytes)}`;
+}
+
+/**
+ * Llegeix una configuració codificada amb encodePreset.
+ * @param {string} code - Configuració codificada.
+ * @returns {Promise<Preset>}
+ * @throws {Error} Si el codi no és vàlid.
+ */
+export async function decodePreset(code) {
+    let bytes = fromBase64Url(code.slice(1));
+    if (code[0] === 'z') {
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (code[0] !== 'j') {
+        throw new Error('Format de configuració desconegut');
+    }
+
+    const compact = JSON.parse(new TextDecoder().decode(bytes));
+    const data = {};
+    Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+        if (compact[short] !== undefined) data[key] = compact[short];
+    });
+    return normalizePreset(data);
+}
+
+/**
+ * Enllaç a l'aplicació amb la configuració al fragment (#), que no s'envia al servidor.
+ * @param {Preset} preset - Configuració.
+ * @param {Object} [options]
+ * @param {boolean} [options.autostart=false] - Si la lectura ha de començar en obrir l'enllaç.
+ * @returns {Promise<string>}
+ */
+export async function createPresetURL(preset, { autostart = false } = {}) {
+    const params = new URLSearchParams({ [PRESET_PARAM]: await encodePreset(preset) });
+    if (autostart) params.set(AUTOSTART_PARAM, '1');
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = params.toString();
+    return url.href;
+}
+
+/**
+ * Llegeix la configuració de l'adreça de la pàgina, del fragment (#preset=…) o de la consulta (?preset=…).
+ * @param {string} href - Adreça de la pàgina.
+ * @returns {Promise<{preset: Preset, autostart: boolean}|null>} - null si l'adreça no en porta.
+ * @throws {Error} Si la configuració no és vàlida.
+ */
+export async function readPresetFromURL(href) {
+    const url = new URL(href);
+    const params = [new URLSearchParams(url.hash.slice(1)), url.searchParams]
+        .find(candidate => candidate.has(PRESET_PARAM));
+    if (!params) return null;
+
+    const preset = await decodePreset(params.get(PRESET_PARAM));
+    const autostart = ['1', 'true', ''].includes(params.get(AUTOSTART_PARAM) ?? 'no');
+    return { preset, autostart };
+}
+
+/**
+ * Treu la configuració de l'adreça un cop aplicada, perquè en recarregar la pàgina no es torni a aplicar.
+ */
+export function clearPresetFromURL() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(PRESET_PARAM);
+    url.searchParams.delete(AUTOSTART_PARAM);
+    url.hash = '';
+    history.replaceState(null, '', url.href);
+}
+
+/**
+ * Mostra un missatge a la secció de configuracions.
+ * @param {string} key - Clau de traducció.
+ * @param {Object} [options] - Valors per interpolar.
+ */
+export function showPresetMessage(key, options) {
+    document.getElementById('preset-message').textContent = i18next.t(key, options);
+}
+
+/**
+ * Omple el selector amb les configuracions desades.
+ * @param {string} [selected] - Nom a deixar seleccionat.
+ */
+function renderPresetSelect(selected) {
+    const select = document.getElementById('preset-select');
+    const presets = loadPresets();
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = i18next.t('presets.choose');
+    select.replaceChildren(placeholder, ...presets.map(({ name }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        return option;
+    }));
+    select.value = presets.some(preset => preset.name === selected) ? selected : '';
+    updatePresetButtons();
+}
+
+/**
+ * Activa els botons que necessiten una configuració seleccionada.
+ */
+function updatePresetButtons() {
+    const hasSelection = document.getElementById('preset-select').value !== '';
+    document.getElementById('preset-apply').disabled = !hasSelection;
+    document.getElementById('preset-delete').disabled = !hasSelection;
+}
+
+/**
+ * Configuració seleccionada al desplegable.
+ * @returns {Preset|null}
+ */
+function getSelectedPreset() {
+    const name = document.getElementById('preset-select').value;
+    return loadPresets().find(preset => preset.name === name) || null;
+}
+
+/**
+ * Crea l'enllaç de la configuració actual, el mostra i el copia al porta-retalls si es pot.
+ */
+async function sharePreset() {
+    const linkInput = document.getElementById('preset-link');
+    const preset = presetHandlers.getCurrentPreset();
+    preset.name = document.getElementById('preset-name').value.trim() || document.getElementById('preset-select').value;
+
+    linkInput.value = await createPresetURL(preset, {
+        autostart: document.getElementById('preset-autostart').checked
+    });
+    linkInput.hidden = false;
+    linkInput.select();
+
+    try {
+        await navigator.clipboard.writeText(linkInput.value);
+        showPresetMessage('presets.copied', { count: linkInput.value.length });
+    } catch {
+        // Sense permís per al porta-retalls: l'enllaç queda seleccionat per copiar-lo a mà
+        showPresetMessage('presets.linkReady', { count: linkInput.value.length });
+    }
+}
+
+/**
+ * Refresca el selector (per exemple, en canviar d'idioma).
+ */
+export function refreshPresets() {
+    renderPresetSelect(document.getElementById('preset-select').value);
+}
+
+/**
+ * Connecta la secció de configuracions del popup d'inici.
+ * @param {Object} handlers
+ * @param {() => Preset} handlers.getCurrentPreset - Configuració actual dels camps (sense nom).
+ * @param {(preset: Preset) => void} handlers.applyPreset - Aplica una configuració als camps.
+ */
+export function initializePresets(handlers) {
+    presetHandlers = handlers;
+    const select = document.getElementById('preset-select');
+    const nameInput = document.getElementById('preset-name');
+
+    select.addEventListener('change', () => {
+        nameInput.value = select.value;
+        updatePresetButtons();
+    });
+
+    document.getElementById('preset-apply').addEventListener('click', () => {
+        const preset = getSelectedPreset();
+        if (!preset) return;
+        handlers.applyPreset(normalizePreset(preset));
+        showPresetMessage('presets.applied', { name: preset.name });
+    });
+
+    document.getElementById('preset-save').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showPresetMessage('presets.noName');
+            nameInput.focus();
+            return;
+        }
+        if (!savePreset({ ...handlers.getCurrentPreset(), name })) {
+            showPresetMessage('presets.quotaExceeded');
+            return;
+        }
+        renderPresetSelect(name);
+        showPresetMessage('presets.saved', { name });
+    });
+
+    document.getElementById('preset-delete').addEventListener('click', () => {
+        const name = select.value;
+        if (!name) return;
+        deletePreset(name);
+        nameInput.value = '';
+        renderPresetSelect();
+        showPresetMessage('presets.deleted', { name });
+    });
+
+    document.getElementById('preset-share').addEventListener('click', () => {
+        sharePreset().catch(error => {
+            console.error('No s\'ha pogut crear l\'enllaç', error);
+            showPresetMessage('presets.linkError');
+        });
+    });
+
+    renderPresetSelect();
+}
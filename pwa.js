@@ -0,0 +1,46 @@
+// Aplicació instal·lable i sense connexió: registra el service worker (sw.js) i avisa quan hi ha una versió nova.
+
+/**
+ * Mostra l'avís de versió nova. En acceptar-lo, el service worker nou pren el control i la pàgina es recarrega.
+ * @param {ServiceWorker} worker - Service worker nou, en espera.
+ */
+function showUpdatePrompt(worker) {
+    const banner = document.getElementById('update-banner');
+    banner.hidden = false;
+    document.getElementById('update-reload').onclick = () => {
+        banner.hidden = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    document.getElementById('update-later').onclick = () => {
+        banner.hidden = true;
+    };
+}
+
+/**
+ * Registra el service worker i vigila les actualitzacions. En navegadors sense suport no fa res.
+ */
+export function initializeServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // La primera instal·lació també pren el control de la pàgina, però llavors no cal recarregar
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.register('./sw.js')
+        .then(registration => {
+            // Una versió nova descarregada en una visita anterior que encara espera
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+                });
+            });
+        })
+        .catch(error => console.error('No s\'ha pogut registrar el service worker', error));
+}
@@ -0,0 +1,328 @@
+// Preguntes de comprensió: qüestionari en acabar la lectura i editor de preguntes per a textos propis.
+import i18next from './i18n.js';
+import { setStorageItem } from './storage.js';
+import { getTextKey } from './text-key.js';
+
+/**
+ * @typedef {Object} Question
+ * @property {'choice'|'truefalse'} type - Opció múltiple o cert/fals.
+ * @property {string} question - Enunciat.
+ * @property {string[]} [options] - Respostes possibles (només opció múltiple).
+ * @property {number|boolean} answer - Índex de l'opció correcta, o true/false.
+ */
+
+/**
+ * @typedef {Object} QuizResult
+ * @property {string} date - Data en format ISO.
+ * @property {string} textKey - Clau del text llegit (vegeu text-key.js).
+ * @property {number} wpm - Velocitat mitjana de la sessió.
+ * @property {number} correct - Respostes encertades.
+ * @property {number} total - Preguntes.
+ * @property {number} percentage - Percentatge d'encerts.
+ */
+
+let quizQuestions = [];
+let quizText = ''; // Text llegit, per desar-ne el resultat
+
+/**
+ * Preguntes creades pel professorat per a un text.
+ * @param {string} text - Text de lectura.
+ * @returns {Question[]}
+ */
+export function loadCustomQuestions(text) {
+    try {
+        const saved = JSON.parse(localStorage.getItem('customQuestions')) || {};
+        return saved[getTextKey(text)] || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Desa les preguntes d'un text (si la llista és buida, s'esborra l'entrada).
+ * @param {string} text - Text de lectura.
+ * @param {Question[]} questions - Preguntes del text.
+ * @returns {boolean} - Si s'han pogut desar.
+ */
+export function saveCustomQuestions(text, questions) {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('customQuestions')) || {};
+    } catch {
+        saved = {};
+    }
+    const key = getTextKey(text);
+    if (questions.length > 0) saved[key] = questions;
+    else delete saved[key];
+    return setStorageItem('customQuestions', JSON.stringify(saved));
+}
+
+/**
+ * Resultats desats dels qüestionaris, del més antic al més recent.
+ * @returns {QuizResult[]}
+ */
+function loadQuizResults() {
+    try {
+        return JSON.parse(localStorage.getItem('quizResults')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Desa el resultat d'un qüestionari amb la velocitat mitjana de la sessió.
+ * @param {string} text - Text llegit.
+ * @param {{correct: number, total: number, percentage: number}} score - Nota.
+ * @param {number} wpm - Velocitat mitjana de la sessió.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+function saveQuizResult(text, score, wpm) {
+    const result = { date: new Date().toISOString(), textKey: getTextKey(text), wpm: Math.round(wpm), ...score };
+    return setStorageItem('quizResults', JSON.stringify([...loadQuizResults(), result]));
+}
+
+/**
+ * Comprova si una pregunta està ben formada.
+ * @param {Question} question - Pregunta a validar.
+ * @returns {boolean}
+ */
+export function isValidQuestion(question) {
+    if (!question || !question.question?.trim()) return false;
+    if (question.type === 'truefalse') return typeof question.answer === 'boolean';
+    return question.type === 'choice' &&
+        Array.isArray(question.options) &&
+        question.options.length >= 2 &&
+        question.options.every(option => option.trim()) &&
+        Number.isInteger(question.answer) &&
+        question.answer >= 0 && question.answer < question.options.length;
+}
+
+/**
+ * Corregeix les respostes.
+ * @param {Question[]} questions - Preguntes del qüestionari.
+ * @param {Array<number|boolean|null>} answers - Resposta triada per a cada pregunta (null si no s'ha contestat).
+ * @returns {{correct: number, total: number, percentage: number}}
+ */
+export function scoreQuiz(questions, answers) {
+    const correct = questions.filter((question, index) => answers[index] === question.answer).length;
+    const total = questions.length;
+    return { correct, total, percentage: total > 0 ? Math.round((correct / total) * 100) : 0 };
+}
+
+/**
+ * Respostes possibles d'una pregunta, com a parelles [valor, text].
+ * @param {Question} question - Pregunta.
+ * @returns {Array<[number|boolean, string]>}
+ */
+function getChoices(question) {
+    if (question.type === 'truefalse') {
+        return [[true, i18next.t('quiz.true')], [false, i18next.t('quiz.false')]];
+    }
+    return question.options.map((option, index) => [index, option]);
+}
+
+/**
+ * Pinta les preguntes del qüestionari amb botons d'opció.
+ */
+function renderQuizQuestions() {
+    const list = document.getElementById('quiz-questions');
+    list.replaceChildren();
+
+    quizQuestions.forEach((question, index) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'quiz-question';
+        const legend = document.createElement('legend');
+        legend.textContent = `${index + 1}. ${question.question}`;
+        fieldset.appendChild(legend);
+
+        getChoices(question).forEach(([value, label], choiceIndex) => {
+            const id = `quiz-${index}-${choiceIndex}`;
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `quiz-${index}`;
+            input.id = id;
+            input.value = String(value);
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = id;
+            labelElement.textContent = label;
+            const row = document.createElement('div');
+            row.className = 'quiz-choice';
+            row.append(input, labelElement);
+            fieldset.appendChild(row);
+        });
+        list.appendChild(fieldset);
+    });
+}
+
+/**
+ * Llegeix la resposta triada a cada pregunta.
+ * @returns {Array<number|boolean|null>}
+ */
+function collectAnswers() {
+    return quizQuestions.map((question, index) => {
+        const checked = document.querySelector(`input[name="quiz-${index}"]:checked`);
+        if (!checked) return null;
+        if (question.type === 'truefalse') return checked.value === 'true';
+        return parseInt(checked.value);
+    });
+}
+
+/**
+ * Corregeix el qüestionari, marca les respostes correctes, desa el resultat i el mostra.
+ * @param {number} wpm - Velocitat mitjana de la sessió.
+ * @param {(score: {correct: number, total: number, percentage: number}) => void} [onSubmit] - Rep la nota.
+ */
+function submitQuiz(wpm, onSubmit) {
+    const answers = collectAnswers();
+    const score = scoreQuiz(quizQuestions, answers);
+    saveQuizResult(quizText, score, wpm);
+
+    quizQuestions.forEach((question, index) => {
+        const fieldset = document.querySelectorAll('.quiz-question')[index];
+        fieldset.classList.add(answers[index] === question.answer ? 'correct' : 'incorrect');
+        fieldset.querySelectorAll('input').forEach(input => {
+            input.disabled = true;
+            if (input.value === String(question.answer)) input.parentElement.classList.add('right-answer');
+        });
+    });
+
+    document.getElementById('quiz-result').textContent = i18next.t('quiz.result', {
+        correct: score.correct,
+        total: score.total,
+        percentage: score.percentage,
+        wpm: Math.round(wpm)
+    });
+    document.getElementById('quiz-submit').hidden = true;
+    document.getElementById('quiz-skip').hidden = true;
+    document.getElementById('quiz-close').hidden = false;
+    if (onSubmit) onSubmit(score);
+}
+
+/**
+ * Obre el qüestionari de comprensió.
+ * @param {Question[]} questions - Preguntes a fer.
+ * @param {Object} options
+ * @param {string} options.text - Text llegit.
+ * @param {number} options.wpm - Velocitat mitjana de la sessió, per desar-la i mostrar-la amb el resultat.
+ * @param {(score: {correct: number, total: number, percentage: number}) => void} [options.onSubmit] - Es crida en corregir.
+ */
+export function showQuiz(questions, { text, wpm, onSubmit }) {
+    quizQuestions = questions;
+    quizText = text;
+    renderQuizQuestions();
+
+    document.getElementById('quiz-result').textContent = '';
+    document.getElementById('quiz-submit').hidden = false;
+    document.getElementById('quiz-skip').hidden = false;
+    document.getElementById('quiz-close').hidden = true;
+    document.getElementById('quiz-submit').onclick = () => submitQuiz(wpm, onSubmit);
+    document.getElementById('quiz-popup').style.display = 'block';
+}
+
+/**
+ * Tanca el qüestionari.
+ */
+export function hideQuiz() {
+    document.getElementById('quiz-popup').style.display = 'none';
+}
+
+/**
+ * Indica si el qüestionari és visible.
+ * @returns {boolean}
+ */
+export function isQuizOpen() {
+    return document.getElementById('quiz-popup').style.display === 'block';
+}
+
+/**
+ * Mostra el formulari de la pregunta nova segons el tipus triat.
+ */
+function updateEditorType() {
+    const type = document.getElementById('quiz-editor-type').value;
+    document.getElementById('quiz-editor-choices').hidden = type !== 'choice';
+    document.getElementById('quiz-editor-truefalse').hidden = type !== 'truefalse';
+}
+
+/**
+ * Llista les preguntes pròpies del text actual amb un botó per esborrar-les.
+ * @param {() => string} getText - Retorna el text actual.
+ * @param {number} builtInCount - Preguntes que ja porta el text de mostra.
+ */
+function renderEditorList(getText, builtInCount) {
+    const text = getText();
+    const questions = loadCustomQuestions(text);
+    const list = document.getElementById('quiz-editor-list');
+    list.replaceChildren();
+
+    questions.forEach((question, index) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = question.question;
+        const remove = document.createElement('button');
+        remove.className = 'text-btn';
+        remove.textContent = i18next.t('quiz.editor.delete');
+        remove.addEventListener('click', () => {
+            const saved = saveCustomQuestions(text, questions.filter((_, other) => other !== index));
+            document.getElementById('quiz-editor-error').textContent = saved ? '' : i18next.t('quiz.editor.saveError');
+            renderEditorList(getText, builtInCount);
+        });
+        item.append(label, remove);
+        list.appendChild(item);
+    });
+
+    document.getElementById('quiz-editor-summary').textContent = text.trim()
+        ? i18next.t('quiz.editor.summary', { count: questions.length, builtIn: builtInCount })
+        : i18next.t('quiz.editor.noText');
+}
+
+/**
+ * Connecta l'editor de preguntes del popup de configuració.
+ * @param {Object} options
+ * @param {() => string} options.getText - Retorna el text actual del camp de lectura.
+ * @param {() => number} options.getBuiltInCount - Preguntes que ja porta el text actual (textos de mostra).
+ * @returns {() => void} - Funció per refrescar la llista quan canvia el text o l'idioma.
+ */
+export function initializeQuizEditor({ getText, getBuiltInCount }) {
+    const refresh = () => renderEditorList(getText, getBuiltInCount());
+    const error = document.getElementById('quiz-editor-error');
+
+    document.getElementById('quiz-editor-type').addEventListener('change', updateEditorType);
+    document.getElementById('quiz-editor-add').addEventListener('click', () => {
+        const type = document.getElementById('quiz-editor-type').value;
+        const questionInput = document.getElementById('quiz-editor-question');
+        const optionInputs = [...document.querySelectorAll('.quiz-editor-option')];
+        const question = { type, question: questionInput.value.trim() };
+
+        if (type === 'choice') {
+            // Les opcions buides no compten; la correcta es marca amb el botó d'opció del costat
+            const filled = optionInputs.filter(input => input.value.trim());
+            const checked = document.querySelector('input[name="quiz-editor-correct"]:checked');
+            question.options = filled.map(input => input.value.trim());
+            question.answer = checked ? filled.indexOf(optionInputs[parseInt(checked.value)]) : -1;
+        } else {
+            question.answer = document.getElementById('quiz-editor-answer').value === 'true';
+        }
+
+        const text = getText();
+        if (!text.trim() || !isValidQuestion(question)) {
+            error.textContent = i18next.t(text.trim() ? 'quiz.editor.invalid' : 'quiz.editor.noText');
+            return;
+        }
+        // Si no es pot desar, el formulari es manté omplert per tornar-ho a provar
+        if (!saveCustomQuestions(text, [...loadCustomQuestions(text), question])) {
+            error.textContent = i18next.t('quiz.editor.saveError');
+            return;
+        }
+        error.textContent = '';
+
+        questionInput.value = '';
+        optionInputs.forEach(input => {
+            input.value = '';
+        });
+        refresh();
+    });
+
+    updateEditorType();
+    refresh();
+    return refresh;
+}
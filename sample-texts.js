@@ -8,6 +8,31 @@ export const sampleTexts = {
             "Actualment, la Generalitat gestiona aspectes fonamentals de la vida diària, com l'educació, la sanitat i la policia. Però el debat sobre el seu futur continua ben viu. En els darrers anys, una part important de la societat catalana ha expressat el desig que Catalunya esdevingui un estat independent. Aquest projecte de futur imagina una Generalitat amb poders totals, que no només gestioni els serveis bàsics, sinó que també tingui el control complet de les seves fronteres, la seva economia i la seva representació directa davant del món.\n" +
             "\n" +
             "Mirar cap al futur de la Generalitat implica pensar en com s'organitzarà la convivència i quins reptes haurà d'afrontar el país. Tant si es manté dins del marc actual com si avança cap a la independència, la institució té el repte de seguir sent el motor de la democràcia a Catalunya. El futur és a les mans de les noves generacions, que hauran de decidir quin camí volen seguir per garantir que la Generalitat continuï sent, com ho ha estat durant segles, el símbol de la voluntat de ser del poble català."
+        ,
+        "questions": [
+            {
+                "type": "choice",
+                "question": "Amb quina finalitat es va crear la Diputació del General al segle XIV?",
+                "options": ["Per defensar les fronteres", "Per recaptar impostos i vigilar el compliment de les lleis", "Per organitzar les escoles", "Per elegir el president"],
+                "answer": 1
+            },
+            {
+                "type": "truefalse",
+                "question": "Les institucions catalanes van ser abolides l'any 1714.",
+                "answer": true
+            },
+            {
+                "type": "choice",
+                "question": "Qui va mantenir viva la institució durant l'exili i va tornar a Barcelona el 1977?",
+                "options": ["Francesc Macià", "Lluís Companys", "Josep Tarradellas", "Jordi Pujol"],
+                "answer": 2
+            },
+            {
+                "type": "truefalse",
+                "question": "Segons el text, la Generalitat actual no gestiona ni l'educació ni la sanitat.",
+                "answer": false
+            }
+        ]
     },
     "text2": {
         "title": "El misteri de la Muntanya Sagrada",
@@ -18,6 +43,31 @@ export const sampleTexts = {
             "L'any 1025, l'abat Oliba, una de les figures més influents de la Catalunya medieval, va fundar oficialment el monestir de Montserrat. Oliba no només era un gran constructor, sinó també un home de pau que va convertir el monestir en un centre de cultura i espiritualitat. Amb el pas dels segles, el monestir va anar creixent en dimensions i prestigi, sobrevivint a guerres i destruccions, com la que va patir durant la Guerra del Francès al segle XIX, quan va haver de ser reconstruït gairebé del tot.\n" +
             "\n" +
             "Avui dia, Montserrat no és només un centre religiós, sinó un símbol de la identitat catalana i un refugi per a la natura i la cultura. L'escolania, el cor de nens cantors més antic d'Europa, continua omplint la basílica amb les seves veus, recordant-nos que tot va començar amb una llum misteriosa i una voluntat ferma de protegir aquest indret únic al món."
+        ,
+        "questions": [
+            {
+                "type": "choice",
+                "question": "Segons la llegenda, qui va descobrir la imatge de la Mare de Déu?",
+                "options": ["Uns monjos", "Uns nens pastors", "El bisbe de Manresa", "L'abat Oliba"],
+                "answer": 1
+            },
+            {
+                "type": "truefalse",
+                "question": "El bisbe va aconseguir portar la imatge fins a Manresa.",
+                "answer": false
+            },
+            {
+                "type": "choice",
+                "question": "En quin any es va fundar oficialment el monestir?",
+                "options": ["880", "1025", "1714", "1883"],
+                "answer": 1
+            },
+            {
+                "type": "truefalse",
+                "question": "L'escolania de Montserrat és el cor de nens cantors més antic d'Europa.",
+                "answer": true
+            }
+        ]
     },
     "text3": {
         title: "L'encàrrec que va transformar Barcelona",
@@ -30,5 +80,30 @@ export const sampleTexts = {
             "Gaudí sabia que una obra de tal magnitud no es podria acabar ràpidament. De fet, sovint deia amb humor que el seu \"client\" (referint-se a Déu) no tenia pressa. Per això, va acceptar el repte amb la humilitat de saber que ell només en posaria les bases. Durant els primers anys, va compaginar la Sagrada Família amb altres encàrrecs, però cap al final de la seva vida es va instal·lar a viure dins del mateix taller del temple, entregant-se en cos i ànima a la seva gran passió.\n" +
             "\n" +
             "Avui dia, quan mirem les torres de la Sagrada Família retallant-se contra el cel de Barcelona, recordem aquell moment de 1883. L’acceptació d’aquell encàrrec no va ser només un tràmit administratiu, sinó el naixement d’un símbol universal que encara avui, més d’un segle després, continua creixent gràcies a la valentia d’aquell jove arquitecte."
+        ,
+        questions: [
+            {
+                type: "choice",
+                question: "Quants anys tenia Gaudí quan va acceptar l'encàrrec?",
+                options: ["25", "31", "40", "43"],
+                answer: 1
+            },
+            {
+                type: "truefalse",
+                question: "Gaudí va ser el primer arquitecte del projecte de la Sagrada Família.",
+                answer: false
+            },
+            {
+                type: "choice",
+                question: "Qui va recomanar Gaudí per continuar l'obra?",
+                options: ["Francisco de Paula del Villar", "Joan Martorell", "El bisbe de Barcelona", "Els promotors del temple"],
+                answer: 1
+            },
+            {
+                type: "truefalse",
+                question: "Cap al final de la seva vida, Gaudí es va instal·lar a viure dins del taller del temple.",
+                answer: true
+            }
+        ]
     }
 };
@@ -1,27 +1,60 @@
 // Importem els textos de mostra
 import { sampleTexts } from './sample-texts.js';
-import i18next from 'https://unpkg.com/i18next@25.8.0/dist/esm/i18next.js';
-import LanguageDetector from 'https://unpkg.com/i18next-browser-languagedetector@8.2.0/dist/esm/i18nextBrowserLanguageDetector.js';
+import { initializeKeyboardShortcuts, toggleShortcutsPopup, isShortcutsPopupOpen } from './keyboard.js';
+import { setStorageItem } from './storage.js';
+import i18next, { initI18n, translatePage, setLanguage } from './i18n.js';
+import { tokenizeText, countWords, detectLanguage, DEFAULT_MAX_WORD_LENGTH } from './tokenizer.js';
+import { DEFAULT_FOCUS_STRATEGY } from './focus-point.js';
+import { createReadingEngine, clampWPM } from './engine.js';
+import { loadSpeedProgram, saveSpeedProgram, getProgramSpan, sampleProgram, DEFAULT_PROGRAM } from './speed-programs.js';
+import { loadPacingSettings, savePacingSettings, createPacingPlan, estimateEffectiveWPM, previewSettingWPM, DEFAULT_PACING } from './pacing.js';
+import { showQuiz, hideQuiz, isQuizOpen, loadCustomQuestions, initializeQuizEditor } from './quiz.js';
+import { addSession, updateSession, toggleHistoryPopup, isHistoryPopupOpen, initializeHistory } from './history.js';
+import { importFile } from './text-import.js';
+import { loadDisplaySettings, saveDisplaySettings, joinTokens } from './display-modes.js';
+import { initializeAppearance, getAppearance, createReaderText, createPlainReaderText, toggleAppearancePopup, isAppearancePopupOpen, refreshAppearancePanel } from './appearance.js';
+import { createSpeaker, loadSpeechSettings, saveSpeechSettings, pickVoice, getVoicesForLanguage } from './speech.js';
+import { initializeValidation, validateForm, focusFirstError } from './validation.js';
+import { initializeServiceWorker } from './pwa.js';
+import { initializePresets, refreshPresets, readPresetFromURL, clearPresetFromURL, showPresetMessage } from './presets.js';
+import { getLibraryTexts, getLibraryText, findLibraryText, groupByLanguage, loadBookmark, saveBookmark, clearBookmark, toggleLibraryPopup, isLibraryPopupOpen, initializeLibrary } from './library.js';
 
 
+/**
+ * Omple el selector de textos amb la biblioteca (textos de mostra i propis), agrupada per idioma.
+ */
+function renderTextSelector() {
+    const select = document.getElementById('sample-text-select');
+    const selected = select.value;
+    select.querySelectorAll('optgroup').forEach(group => group.remove());
+
+    groupByLanguage(getLibraryTexts()).forEach(([lang, entries]) => {
+        const group = document.createElement('optgroup');
+        group.label = i18next.t(`library.languages.${lang}`);
+        entries.forEach(({ id, title }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = title;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+    select.value = getLibraryText(selected) ? selected : '';
+}
+
 // Funció per inicialitzar el selector de textos
 function initializeSampleTextSelector() {
     const select = document.getElementById('sample-text-select');
     const textarea = document.getElementById('input-text');
 
     // Afegir les opcions al selector
-    Object.entries(sampleTexts).forEach(([key, { title }]) => {
-        const option = document.createElement('option');
-        option.value = key;
-        option.textContent = title;
-        select.appendChild(option);
-    });
+    renderTextSelector();
 
     // Event listener pel canvi de selecció
     select.addEventListener('change', (e) => {
-        const selectedKey = e.target.value;
-        if (selectedKey && sampleTexts[selectedKey]) {
-            textarea.value = sampleTexts[selectedKey].text;
+        const entry = getLibraryText(e.target.value);
+        if (entry) {
+            textarea.value = entry.text;
             updateInputWordCount(); // Actualitzar el comptador de paraules
         } else {
             textarea.value = ''; // Netejar el textarea si es selecciona l'opció buida
@@ -30,56 +63,69 @@ function initializeSampleTextSelector() {
     });
 }
 
+// --- Motor de lectura ---
+let loadedText = '';       // Text carregat a la sessió actual
+let focusStrategy = localStorage.getItem('focusStrategy') || DEFAULT_FOCUS_STRATEGY;
+let pacingSettings = loadPacingSettings();
+let displaySettings = loadDisplaySettings(); // Mode de visualització i grups de paraules (vegeu display-modes.js)
+let guidedParagraph = -1;  // Paràgraf pintat a la lectura guiada
+const CONTEXT_WORDS = 12;  // Paraules de context com a màxim a cada costat
+let speedProgram = loadSpeedProgram(); // Corba de velocitat (vegeu speed-programs.js)
+const speaker = createSpeaker(); // Lectura en veu alta (vegeu speech.js)
+let speechSettings = loadSpeechSettings();
+let sessionDate = null;    // Moment d'inici de la sessió en curs (per a l'historial)
+let importedText = null;   // Últim fitxer importat, amb els seus capítols (vegeu text-import.js)
+let refreshQuizEditor = () => {}; // Refresca la llista de l'editor de preguntes (vegeu quiz.js)
+let refreshValidation = () => {}; // Torna a validar el formulari de configuració (vegeu validation.js)
+
+// El ritme de lectura el porta el motor (vegeu engine.js); la interfície només pinta el que aquest li avisa
+const engine = createReadingEngine({
+    settings: { focusStrategy, pacing: pacingSettings, display: displaySettings, speechMode: speechSettings.mode },
+    speaker,
+    getVoice: getSpeechVoice,
+    onWord: displayWord,
+    onProgress: updateProgress,
+    onStateChange: updatePlaybackControls,
+    onFinish: finishExercise
+});
+
+document.getElementById('input-text');
+
 /**
- * Divide el texto de entrada en un array de palabras y limpia espacios innecesarios.
- * @param {string} text - El texto bruto introducido por el usuario.
- * @returns {string[]} - Array de palabras listas para ser procesadas.
+ * Longitud a partir de la qual es divideixen les paraules, segons l'opció de divisió de paraules llargues.
+ * @returns {number} - 0 si no es divideixen.
  */
-function tokenizeText(text) {
-    // Eliminar saltos de línea y dividir por espacios
-    return text.trim().split(/\s+/).filter(word => word.length > 0);
+function getMaxWordLength() {
+    return document.getElementById('split-long-words').checked ? DEFAULT_MAX_WORD_LENGTH : 0;
 }
 
 /**
- * Calcula el punto de fijación (índice de la letra a resaltar) basándose en la longitud.
- * Regla: Primer tercio de la palabra (aprox. posición 1 para palabras cortas, 2-3 para largas).
- * @param {string} word - La palabra actual.
- * @returns {number} - El índice del carácter que debe resaltarse.
+ * Tokenitza el text amb les opcions de lectura actuals (divisió de paraules llargues).
+ * @param {string} text - Text a llegir.
+ * @param {string} lang - Idioma del text.
+ * @returns {import('./tokenizer.js').Token[]}
  */
-function getFocusIndex(word) {
-    if (word.length <= 1) return 0;
-    // Calcular un tercio de la longitud, redondeado hacia abajo
-    const focusPoint = Math.floor(word.length / 3);
-    // Asegurar que no sea menor que 0 ni mayor que la última posición
-    return Math.max(0, Math.min(focusPoint, word.length - 1));
+function tokenizeForReading(text, lang) {
+    return tokenizeText(text, { lang, maxWordLength: getMaxWordLength() });
 }
 
 /**
- * Calcula el tiempo de espera (delay) para la palabra actual.
- * @param {string} word - La palabra actual para comprobar signos de puntuación.
- * @param {number} baseDelay - El retraso base según la velocidad (WPM) actual.
- * @returns {number} - Tiempo en milisegundos que la palabra debe permanecer en pantalla.
+ * Programa de velocitat amb la durada de la rampa del camp de temps d'acceleració.
+ * @returns {Object}
  */
-function calculateWordDelay(word, baseDelay) {
-    // Pausas adicionales para signos de puntuación
-    if (word.endsWith('.')) return baseDelay * 2.5; // Punto
-    if (word.endsWith(',')) return baseDelay * 1.8; // Coma
-    if (word.endsWith(';') || word.endsWith(':')) return baseDelay * 2.0; // Punto y coma, dos puntos
-    if (word.endsWith('!') || word.endsWith('?')) return baseDelay * 2.2; // Exclamación, interrogación
-    return baseDelay; // Sin puntuación especial
+function getCurrentProgram() {
+    const rampLength = parseInt(document.getElementById('acceleration-time').value) || 10;
+    return { ...speedProgram, rampLength };
 }
 
-// --- Motor de lectura ---
-let wordsArray = [];
-let currentIndex = 0;
-let currentWPM = 0;
-let targetWPM = 0;
-let startWPM = 0;
-let accelerationTime = 0;
-let startTime = 0;
-let timerId = null;
-
-document.getElementById('input-text');
+/**
+ * Indica si hi ha una sessió començada (en marxa o en pausa).
+ * @returns {boolean}
+ */
+function isSessionActive() {
+    const state = engine.getState();
+    return state === 'playing' || state === 'paused';
+}
 
 /**
  * Inicia el ciclo de lectura. Gestiona la aceleración progresiva de WPM inicial a objetivo.
@@ -87,43 +133,87 @@ document.getElementById('input-text');
 function startExercise() {
     const text = document.getElementById('input-text').value;
 
-    if (!text.trim()) {
-        alert('Si us plau, introdueix un text per practicar.');
+    // Si hi ha errors, s'obre la configuració amb el primer camp erroni (vegeu validation.js)
+    const errors = validateForm();
+    if (errors.length > 0) {
+        toggleInputPopup(true);
+        focusFirstError(errors);
         return;
     }
 
-    // Obtener valores de configuración
-    startWPM = parseInt(document.getElementById('start-wpm').value) || 100;  // Assignem a la variable global
-    targetWPM = parseInt(document.getElementById('target-wpm').value) || 300;
-    accelerationTime = (parseInt(document.getElementById('acceleration-time').value) || 10) * 1000; // Convertir a ms
-
-    // Validar valores
-    if (startWPM >= targetWPM) {
-        alert('La velocidad inicial debe ser menor que la velocidad objetivo.');
-        return;
-    }
+    // Obtener valores de configuración. La velocitat pot pujar, mantenir-se o baixar.
+    const start = Number(document.getElementById('start-wpm').value);
+    const target = Number(document.getElementById('target-wpm').value);
 
-    // Tokenizar texto
-    wordsArray = tokenizeText(text);
-    if (wordsArray.length === 0) {
-        alert('No se encontraron palabras válidas en el texto.');
-        return;
+    // Si la sessió anterior s'havia deixat a mitges, es desa com a interrompuda
+    if (isSessionActive()) {
+        recordSession();
+        saveReadingPosition();
     }
+    const bookmark = document.getElementById('resume-bookmark').checked ? loadBookmark(text) : null;
 
-    // Inicializar variables
-    currentIndex = 0;
-    currentWPM = startWPM;
-    startTime = Date.now();
+    loadedText = text;
+    sessionDate = new Date();
+    guidedParagraph = -1;
 
     // Ocultar popup y mostrar controles
     toggleInputPopup(false);
     document.getElementById('controls-overlay').style.display = 'flex';
 
-    // Inicialitzar el comptador de paraules
-    updateWordCounter(0, wordsArray.length);
-
     // Iniciar bucle de lectura
-    renderNextWord();
+    engine.start(text, {
+        lang: detectLanguage(text),
+        maxWordLength: getMaxWordLength(),
+        startWPM: start,
+        targetWPM: target,
+        program: getCurrentProgram(),
+        startWord: bookmark ? bookmark.word : 0
+    });
+}
+
+/**
+ * Atura temporalment la lectura conservant la posició i el temps d'acceleració.
+ */
+function pauseExercise() {
+    if (engine.getState() !== 'playing') return;
+    engine.pause();
+    saveReadingPosition();
+}
+
+/**
+ * Reprèn la lectura des de la paraula actual.
+ */
+function resumeExercise() {
+    engine.resume();
+}
+
+/**
+ * Alterna entre reproduir i pausar. Si el text ha canviat o la sessió ha acabat, en comença una de nova.
+ */
+function togglePlayback() {
+    const state = engine.getState();
+    if (state === 'playing') {
+        pauseExercise();
+    } else if (state === 'paused' && document.getElementById('input-text').value === loadedText) {
+        resumeExercise();
+    } else {
+        startExercise();
+    }
+}
+
+/**
+ * Modifica la velocitat en un pas fix, tant als camps de configuració com a la sessió en curs.
+ * @param {number} delta - Increment en PPM (negatiu per reduir).
+ */
+function changeWPM(delta) {
+    const startInput = document.getElementById('start-wpm');
+    const targetInput = document.getElementById('target-wpm');
+    startInput.value = clampWPM((parseInt(startInput.value) || 100) + delta);
+    targetInput.value = clampWPM((parseInt(targetInput.value) || 300) + delta);
+
+    refreshValidation();
+    engine.shiftSpeed(delta);
+    renderSpeedCurve();
 }
 
 // Funció per actualitzar el comptador de paraules
@@ -136,75 +226,256 @@ function updateWordCounter(current, total) {
 // Funció per actualitzar l'indicador de velocitat actual
 function updateWPMCounter(wpm) {
     const counter = document.getElementById('wpm-counter');
-    counter.textContent = `${Math.round(wpm)} PPM`;
+    counter.textContent = i18next.t('controls.wpmCounter', { wpm: Math.round(wpm) });
 }
 
 /**
- * Función recursiva que renderiza la siguiente palabra.
- * Calcula la posición para que la letra resaltada siempre esté en el mismo eje vertical.
+ * Actualitza la barra de progrés i els comptadors amb la posició i la velocitat del motor.
+ * @param {import('./engine.js').Progress} progress - Posició actual.
  */
-function renderNextWord() {
-    // Verificar fin del ejercicio
-    if (currentIndex >= wordsArray.length) {
-        stopExercise();
-        return;
-    }
+function updateProgress({ position, total, word, totalWords, wpm }) {
+    updateWPMCounter(wpm);
+    updateWordCounter(word, totalWords);
+    updateProgressBar(position, total);
+}
 
+/**
+ * Pinta la paraula (o el grup) amb la lletra de fixació alineada amb la guia.
+ * @param {import('./engine.js').WordView} view - Grup a mostrar, amb la lletra de fixació.
+ */
+function renderFocusWord({ text, focusStart, focusEnd }) {
     const wordContainer = document.getElementById('word-display');
-    const word = wordsArray[currentIndex];
-    const focusIndex = getFocusIndex(word);
-
-    // Construir la palabra con la letra resaltada
-    const before = word.slice(0, focusIndex);
-    const focusChar = word[focusIndex];
-    const after = word.slice(focusIndex + 1);
 
-    wordContainer.innerHTML = `${before}<span class="highlight">${focusChar}</span>${after}`;
+    // Construir la palabra con la letra resaltada (i el principi de les paraules en negreta, amb la lectura biònica)
+    wordContainer.replaceChildren(createReaderText(text, focusStart, focusEnd));
 
     // Alinear la letra resaltada con la guía vertical
-    alignFocusLetter(wordContainer, focusIndex);
-
-    // Actualitzar barra de progrés i comptador
-    updateWPMCounter(currentWPM);
-    updateWordCounter(currentIndex + 1, wordsArray.length); // +1 perquè currentIndex comença en 0
-    updateProgressBar(currentIndex, wordsArray.length);
-
-    // Calcular delay actual
-    const baseDelay = 60000 / currentWPM; // ms por palabra
-    const delay = calculateWordDelay(word, baseDelay);
-
-    // Programar siguiente palabra
-    timerId = setTimeout(() => {
-        currentIndex++;
-        // Actualizar WPM si estamos en fase de aceleración
-        if (accelerationTime > 0) {
-            const elapsed = Date.now() - startTime;
-            if (elapsed < accelerationTime) {
-                const progress = elapsed / accelerationTime;
-                currentWPM = startWPM + (targetWPM - startWPM) * progress;
-            } else {
-                currentWPM = targetWPM;
-            }
-        }
-        renderNextWord();
-    }, delay);
+    alignFocusLetter(wordContainer);
+}
+
+/**
+ * Mostra atenuada la resta de la frase: el que ja s'ha llegit a sobre i el que falta a sota.
+ * @param {import('./display-modes.js').Chunk} chunk - Grup actual.
+ */
+function renderContext(chunk) {
+    const wordsArray = engine.getTokens();
+    const sentence = wordsArray[chunk.start].sentence;
+    let start = chunk.start;
+    let end = chunk.end;
+    while (start > 0 && wordsArray[start - 1].sentence === sentence) start--;
+    while (end < wordsArray.length && wordsArray[end].sentence === sentence) end++;
+
+    // En frases llargues només es mostren les paraules més properes
+    const before = wordsArray.slice(Math.max(start, chunk.start - CONTEXT_WORDS), chunk.start);
+    const after = wordsArray.slice(chunk.end, Math.min(end, chunk.end + CONTEXT_WORDS));
+    document.getElementById('context-before').textContent =
+        (chunk.start - start > CONTEXT_WORDS ? '… ' : '') + joinTokens(before);
+    document.getElementById('context-after').textContent =
+        joinTokens(after) + (end - chunk.end > CONTEXT_WORDS ? ' …' : '');
+}
+
+/**
+ * Mostra el paràgraf sencer i hi ressalta el grup actual. Les paraules ja llegides queden atenuades.
+ * @param {import('./display-modes.js').Chunk} chunk - Grup actual.
+ */
+function renderGuidedParagraph(chunk) {
+    const container = document.getElementById('guided-display');
+    const wordsArray = engine.getTokens();
+    const paragraph = wordsArray[chunk.start].paragraph;
+
+    // El paràgraf només es torna a construir quan se'n canvia
+    if (paragraph !== guidedParagraph) {
+        guidedParagraph = paragraph;
+        const spans = [];
+        wordsArray.forEach((token, index) => {
+            if (token.paragraph !== paragraph) return;
+            const span = document.createElement('span');
+            span.dataset.index = index;
+            span.replaceChildren(createPlainReaderText(token.softHyphen ? token.text.slice(0, -1) : token.text));
+            spans.push(span);
+            if (wordsArray[index + 1]?.part === 0 || !wordsArray[index + 1]) spans.push(' ');
+        });
+        container.replaceChildren(...spans);
+        container.scrollTop = 0;
+    }
+
+    let current = null;
+    container.querySelectorAll('span').forEach(span => {
+        const index = parseInt(span.dataset.index);
+        const isCurrent = index >= chunk.start && index < chunk.end;
+        span.classList.toggle('current', isCurrent);
+        span.classList.toggle('read', index < chunk.start);
+        if (isCurrent && !current) current = span;
+    });
+
+    // Mantenir la línia actual a la vista en paràgrafs llargs
+    if (current && (current.offsetTop < container.scrollTop ||
+        current.offsetTop + current.offsetHeight > container.scrollTop + container.clientHeight)) {
+        container.scrollTop = current.offsetTop - container.clientHeight / 3;
+    }
+}
+
+/**
+ * Buida la zona de lectura (paraula, context i paràgraf guiat).
+ */
+function clearDisplay() {
+    document.getElementById('word-display').textContent = '';
+    document.getElementById('context-before').textContent = '';
+    document.getElementById('context-after').textContent = '';
+    document.getElementById('guided-display').replaceChildren();
+    guidedParagraph = -1;
+}
+
+/**
+ * Mostra la paraula (o el grup de paraules) que indica el motor segons el mode de visualització.
+ * @param {import('./engine.js').WordView} view - Grup a mostrar.
+ */
+function displayWord(view) {
+    if (displaySettings.mode === 'guided') {
+        renderGuidedParagraph(view.chunk);
+    } else {
+        renderFocusWord(view);
+        if (displaySettings.mode === 'context') renderContext(view.chunk);
+    }
+}
+
+/**
+ * Veu per a l'idioma del text carregat.
+ * @param {string} lang - Idioma del text.
+ * @returns {SpeechSynthesisVoice|null}
+ */
+function getSpeechVoice(lang) {
+    return pickVoice(speaker.getVoices(), lang, speechSettings.voices[lang]);
+}
+
+/**
+ * Finalitza la sessió quan s'ha mostrat l'última paraula.
+ */
+function finishExercise() {
+    clearDisplay();
+    document.getElementById('config-btn').style.display = 'flex';
+
+    const sessionId = recordSession();
+    clearBookmark(loadedText);
+    const questions = getQuestionsForText(loadedText);
+    if (questions.length > 0) {
+        showQuiz(questions, {
+            text: loadedText,
+            wpm: engine.getStats().averageWPM,
+            onSubmit: (score) => updateSession(sessionId, { quizScore: score.percentage })
+        });
+    }
+}
+
+/**
+ * Títol d'un text: el de la biblioteca o del fitxer importat o, si no, les primeres paraules.
+ * @param {string} text - Text de lectura.
+ * @returns {string}
+ */
+function getTextTitle(text) {
+    const entry = findLibraryText(text);
+    if (entry) return entry.title;
+    const chapter = importedText?.chapters.find(chapter => chapter.text === text);
+    if (chapter) return chapter.title ? `${importedText.title} — ${chapter.title}` : importedText.title;
+    const words = text.trim().split(/\s+/);
+    return words.slice(0, 6).join(' ') + (words.length > 6 ? '…' : '');
+}
+
+/**
+ * Desa a l'historial la sessió que s'acaba. Les sessions aturades abans d'un segon de lectura no es desen.
+ * @returns {string|null} - Identificador de la sessió desada.
+ */
+function recordSession() {
+    const { totalWords, wordsRead, startWPM, targetWPM, averageWPM, duration, completed } = engine.getStats();
+    if (!completed && duration < 1000) return null;
+
+    return addSession({
+        date: sessionDate.toISOString(),
+        title: getTextTitle(loadedText),
+        words: totalWords,
+        wordsRead,
+        startWPM,
+        targetWPM,
+        averageWPM,
+        duration: Math.round(duration / 1000),
+        completed
+    });
+}
+
+/**
+ * Desa un marcador a la paraula actual per poder continuar la lectura més endavant.
+ */
+function saveReadingPosition() {
+    const word = engine.getTokens()[engine.getIndex()]?.wordIndex || 0;
+    if (word > 0) saveBookmark(loadedText, { word, total: engine.getTotalWords() });
+    updateBookmarkRow();
+}
+
+/**
+ * Mostra l'opció de continuar des del marcador si el text del camp en té un.
+ */
+function updateBookmarkRow() {
+    const text = document.getElementById('input-text').value;
+    const bookmark = text.trim() ? loadBookmark(text) : null;
+    const row = document.getElementById('bookmark-row');
+    row.hidden = !bookmark;
+    if (!bookmark) return;
+
+    document.getElementById('resume-bookmark').checked = true;
+    document.getElementById('bookmark-label').textContent = i18next.t('library.resume', {
+        word: bookmark.word + 1,
+        total: bookmark.total,
+        percentage: Math.round((bookmark.word / bookmark.total) * 100)
+    });
 }
 
 /**
  * Detiene el ejercicio y limpia los temporizadores activos.
  */
 function stopExercise() {
-    if (timerId) {
-        clearTimeout(timerId);
-        timerId = null;
+    if (isSessionActive()) {
+        recordSession();
+        saveReadingPosition();
     }
+    engine.stop();
     // Mostrar mensaje de finalización
-    document.getElementById('word-display').textContent = '';
+    clearDisplay();
     // document.getElementById('controls-overlay').style.display = 'none';
     // Volver a mostrar el botón de configuración
     document.getElementById('config-btn').style.display = 'flex';
 }
 
+/**
+ * Actualitza els botons de reproducció segons l'estat de la sessió.
+ */
+function updatePlaybackControls() {
+    const isPlaying = engine.getState() === 'playing';
+    const startBtn = document.getElementById('start-button');
+    startBtn.querySelector('i').className = isPlaying ? 'fas fa-pause' : 'fas fa-play';
+    document.getElementById('controls-overlay').dataset.state = engine.getState();
+    updateStartAvailability(validateForm());
+}
+
+/**
+ * Desactiva el botó d'inici, amb el motiu al costat, quan començaria una sessió nova i el formulari té errors.
+ * Pausar o reprendre la sessió en curs sempre es pot.
+ * @param {import('./validation.js').FieldError[]} errors - Errors del formulari.
+ */
+function updateStartAvailability(errors) {
+    const state = engine.getState();
+    const startsNewSession = state === 'idle' || state === 'finished' ||
+        (state === 'paused' && document.getElementById('input-text').value !== loadedText);
+    const blocked = startsNewSession && errors.length > 0;
+    const startBtn = document.getElementById('start-button');
+    const reason = document.getElementById('start-reason');
+
+    startBtn.disabled = blocked;
+    reason.textContent = blocked ? i18next.t('validation.cannotStart', { reason: errors[0].message }) : '';
+    reason.hidden = !blocked;
+    startBtn.title = blocked ? reason.textContent
+        : i18next.t(state === 'playing' ? 'common.pause' : (state === 'paused' ? 'common.resume' : 'common.start'));
+}
+
 // --- Gestión de interfaz ---
 
 /**
@@ -215,10 +486,10 @@ function toggleTheme(isDark) {
     const body = document.body;
     if (isDark) {
         body.classList.add('dark-mode');
-        localStorage.setItem('theme', 'dark');
+        setStorageItem('theme', 'dark');
     } else {
         body.classList.remove('dark-mode');
-        localStorage.setItem('theme', 'light');
+        setStorageItem('theme', 'light');
     }
 }
 
@@ -231,7 +502,21 @@ function updateFontSize(scale) {
     // Convertir el valor del slider a un tamaño de fuente razonable
     const fontSizeRem = scale * 2; // Multiplicador arbitrario para buen rango visual
     wordDisplay.style.fontSize = `${fontSizeRem}rem`;
-    localStorage.setItem('fontSizeScale', scale);
+    // El context i el paràgraf guiat s'hi ajusten proporcionalment (vegeu style.css)
+    document.getElementById('main-container').style.setProperty('--font-scale', scale);
+    setStorageItem('fontSizeScale', scale);
+}
+
+/**
+ * Mou el control de mida de lletra un pas amunt o avall.
+ * @param {number} direction - 1 per augmentar, -1 per reduir.
+ */
+function stepFontSize(direction) {
+    const slider = document.getElementById('font-size-slider');
+    const step = parseFloat(slider.step);
+    const scale = Math.max(parseFloat(slider.min), Math.min(parseFloat(slider.value) + direction * step, parseFloat(slider.max)));
+    slider.value = scale;
+    updateFontSize(scale);
 }
 
 /**
@@ -242,15 +527,21 @@ function alignFocusLetter(wordContainer) {
     const highlightSpan = wordContainer.querySelector('.highlight');
     if (!highlightSpan) return;
 
-    // Posición de la guía vertical en píxeles (un tercio del ancho de la ventana)
-    const guideX = window.innerWidth * 0.3333;
+    // Posición de la guía vertical en píxeles (per defecte, un terç de l'amplada de la finestra; vegeu appearance.js)
+    const guideX = window.innerWidth * getAppearance().guidePosition / 100;
 
     // Forzar un reflow para obtener dimensiones precisas
     wordContainer.style.transform = 'translateX(0)';
     const highlightRect = highlightSpan.getBoundingClientRect();
 
     // Calcular el desplazamiento necesario para que la letra resaltada quede en la posición de la guía
-    const offsetX = guideX - (highlightRect.left + highlightRect.width / 2);
+    let offsetX = guideX - (highlightRect.left + highlightRect.width / 2);
+
+    // Un grup de paraules pot ser massa ample per centrar-lo a la guia: es desplaça el mínim perquè no surti de la finestra
+    const wordRect = wordContainer.getBoundingClientRect();
+    if (wordRect.width <= window.innerWidth) {
+        offsetX = Math.max(-wordRect.left, Math.min(offsetX, window.innerWidth - wordRect.right));
+    }
 
     // Aplicar el desplazamiento al contenedor de la palabra (transform translateX)
     wordContainer.style.transform = `translateX(${offsetX}px)`;
@@ -265,6 +556,50 @@ function updateProgressBar(current, total) {
     const progressBar = document.getElementById('progress-bar');
     const percentage = ((current + 1) / total) * 100;
     progressBar.style.width = `${percentage}%`;
+    document.getElementById('progress-bar-container').setAttribute('aria-valuenow', Math.round(percentage));
+}
+
+/**
+ * Converteix la posició del punter sobre la barra de progrés en un índex de paraula.
+ * @param {PointerEvent} e - Esdeveniment del punter.
+ * @returns {number} - Índex de la paraula corresponent.
+ */
+function getProgressIndex(e) {
+    const rect = document.getElementById('progress-bar-container').getBoundingClientRect();
+    const ratio = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+    const total = engine.getTokens().length;
+    return Math.min(Math.floor(ratio * total), total - 1);
+}
+
+/**
+ * Permet saltar a una posició fent clic o arrossegant sobre la barra de progrés.
+ * Durant l'arrossegament la lectura es pausa i es reprèn en deixar anar el punter.
+ */
+function initializeProgressSeek() {
+    const container = document.getElementById('progress-bar-container');
+    let dragging = false;
+    let wasPlaying = false;
+
+    container.addEventListener('pointerdown', (e) => {
+        if (engine.getState() === 'idle') return;
+        dragging = true;
+        wasPlaying = engine.getState() === 'playing';
+        pauseExercise();
+        container.setPointerCapture(e.pointerId);
+        engine.seek(getProgressIndex(e));
+    });
+
+    container.addEventListener('pointermove', (e) => {
+        if (dragging) engine.seek(getProgressIndex(e));
+    });
+
+    const endDrag = () => {
+        if (!dragging) return;
+        dragging = false;
+        if (wasPlaying) resumeExercise();
+    };
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
 }
 
 /**
@@ -300,6 +635,146 @@ function toggleInputPopup(visible) {
     }
 }
 
+/**
+ * Indica si el popup de configuració és visible.
+ * @returns {boolean}
+ */
+function isInputPopupOpen() {
+    return document.getElementById('input-popup').classList.contains('visible');
+}
+
+/**
+ * Obre o tanca el popup de configuració. En obrir-lo es pausa la lectura.
+ */
+function toggleConfig() {
+    if (isInputPopupOpen()) {
+        toggleInputPopup(false);
+    } else {
+        pauseExercise();
+        toggleInputPopup(true);
+    }
+}
+
+/**
+ * Obre o tanca la biblioteca, pausant la lectura en obrir-la.
+ */
+function toggleLibrary() {
+    if (isLibraryPopupOpen()) {
+        toggleLibraryPopup(false);
+    } else {
+        pauseExercise();
+        toggleLibraryPopup(true);
+    }
+}
+
+/**
+ * Obre o tanca el panell d'aparença, pausant la lectura en obrir-lo perquè els canvis es vegin
+ * sobre la paraula actual.
+ */
+function toggleAppearance() {
+    if (isAppearancePopupOpen()) {
+        toggleAppearancePopup(false);
+    } else {
+        pauseExercise();
+        toggleAppearancePopup(true);
+    }
+}
+
+/**
+ * Obre o tanca el tauler d'historial, pausant la lectura en obrir-lo.
+ */
+function toggleHistory() {
+    if (isHistoryPopupOpen()) {
+        toggleHistoryPopup(false);
+    } else {
+        pauseExercise();
+        toggleHistoryPopup(true);
+    }
+}
+
+/**
+ * Mostra u oculta el selector d'idioma.
+ * @param {boolean} visible - Estat de visibilitat.
+ */
+function toggleLanguagePopup(visible) {
+    document.getElementById('language-popup').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Indica si el selector d'idioma és visible.
+ * @returns {boolean}
+ */
+function isLanguagePopupOpen() {
+    return document.getElementById('language-popup').style.display === 'block';
+}
+
+/**
+ * Tanca qualsevol popup obert (tecla Escape).
+ */
+function closePopups() {
+    if (isLanguagePopupOpen()) toggleLanguagePopup(false);
+    if (isShortcutsPopupOpen()) toggleShortcutsPopup(false);
+    if (isInputPopupOpen()) toggleInputPopup(false);
+    if (isQuizOpen()) hideQuiz();
+    if (isHistoryPopupOpen()) toggleHistoryPopup(false);
+    if (isLibraryPopupOpen()) toggleLibraryPopup(false);
+    if (isAppearancePopupOpen()) toggleAppearancePopup(false);
+}
+
+/**
+ * Torna a pintar tots els textos visibles amb l'idioma actual.
+ */
+function refreshTranslations() {
+    translatePage();
+    updateInputWordCount();
+    updatePacingPreview();
+    renderSpeedCurve();
+    updateWPMCounter(engine.getWPM());
+    updatePlaybackControls();
+    refreshQuizEditor();
+    renderTextSelector();
+    updateBookmarkRow();
+    refreshPresets();
+    refreshVoiceOptions();
+    refreshAppearancePanel();
+    document.querySelectorAll('.lang-option').forEach(option => {
+        const isCurrent = option.dataset.lang === i18next.resolvedLanguage;
+        option.classList.toggle('active', isCurrent);
+        option.setAttribute('aria-pressed', isCurrent);
+    });
+}
+
+/**
+ * Connecta el selector d'idioma i carrega les traduccions.
+ * Si no es poden carregar, la interfície es queda amb els textos en català de l'HTML.
+ */
+async function initializeLanguage() {
+    document.getElementById('language-btn').addEventListener('click', () => {
+        toggleLanguagePopup(!isLanguagePopupOpen());
+    });
+
+    const popup = document.getElementById('language-popup');
+    // Tancar en fer clic fora del contingut
+    popup.addEventListener('mousedown', (e) => {
+        if (e.target === popup) toggleLanguagePopup(false);
+    });
+    popup.querySelectorAll('.lang-option').forEach(option => {
+        option.addEventListener('click', () => {
+            setLanguage(option.dataset.lang);
+            toggleLanguagePopup(false);
+        });
+    });
+
+    try {
+        await initI18n();
+    } catch (error) {
+        console.error('No s\'han pogut carregar les traduccions', error);
+        return;
+    }
+    i18next.on('languageChanged', refreshTranslations);
+    refreshTranslations();
+}
+
 // Initialize theme from localStorage or system preference
 function initializeTheme() {
     const savedTheme = localStorage.getItem('theme');
@@ -320,13 +795,484 @@ function initializeFontSize() {
     }
 }
 
+/**
+ * Aplica les opcions de visualització. Amb una sessió en curs es refan els grups i es torna a pintar la posició actual.
+ */
+function applyDisplaySettings() {
+    saveDisplaySettings(displaySettings);
+    document.getElementById('main-container').dataset.mode = displaySettings.mode;
+    document.getElementById('chunk-split-row').hidden = displaySettings.chunkSize <= 1;
+    if (engine.getState() !== 'idle') clearDisplay();
+    // El motor refà els grups i torna a mostrar la paraula en pausa
+    engine.configure({ display: displaySettings });
+}
+
+// Initialize display mode and chunk options from localStorage
+function initializeDisplaySettings() {
+    document.querySelectorAll('[data-display]').forEach(input => {
+        const key = input.dataset.display;
+        input.value = displaySettings[key];
+        input.addEventListener('change', () => {
+            if (input.type === 'number') {
+                const value = Math.max(parseInt(input.min), Math.min(parseInt(input.value) || 1, parseInt(input.max)));
+                input.value = value;
+                displaySettings[key] = value;
+            } else {
+                displaySettings[key] = input.value;
+            }
+            applyDisplaySettings();
+        });
+    });
+    applyDisplaySettings();
+}
+
+/**
+ * Omple el selector de veus amb les de l'idioma del text del formulari i avisa si no n'hi ha cap.
+ */
+function refreshVoiceOptions() {
+    const select = document.getElementById('speech-voice');
+    const hint = document.getElementById('speech-hint');
+    const lang = detectLanguage(document.getElementById('input-text').value);
+    const language = i18next.t(`library.languages.${lang}`);
+    const voices = getVoicesForLanguage(speaker.getVoices(), lang);
+
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = i18next.t('speech.automaticVoice');
+    select.replaceChildren(automatic, ...voices.map(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceURI;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        return option;
+    }));
+    select.value = voices.some(voice => voice.voiceURI === speechSettings.voices[lang]) ? speechSettings.voices[lang] : '';
+    select.dataset.lang = lang;
+    document.getElementById('speech-voice-label').textContent = i18next.t('speech.voice', { language });
+
+    const isOff = speechSettings.mode === 'off';
+    document.getElementById('speech-voice-row').hidden = isOff || !speaker.isAvailable();
+    if (!speaker.isAvailable()) hint.textContent = i18next.t('speech.unavailable');
+    else if (!isOff && voices.length === 0) hint.textContent = i18next.t('speech.noVoice', { language });
+    else hint.textContent = '';
+}
+
+// Initialize text-to-speech options from localStorage
+function initializeSpeech() {
+    const modeSelect = document.getElementById('speech-mode');
+    const voiceSelect = document.getElementById('speech-voice');
+    modeSelect.value = speechSettings.mode;
+    modeSelect.disabled = !speaker.isAvailable();
+
+    modeSelect.addEventListener('change', () => {
+        speechSettings.mode = modeSelect.value;
+        saveSpeechSettings(speechSettings);
+        refreshVoiceOptions();
+        // Amb la lectura en marxa, el motor continua des de la paraula actual amb el mode nou
+        engine.configure({ speechMode: speechSettings.mode });
+    });
+    voiceSelect.addEventListener('change', () => {
+        if (voiceSelect.value) speechSettings.voices[voiceSelect.dataset.lang] = voiceSelect.value;
+        else delete speechSettings.voices[voiceSelect.dataset.lang];
+        saveSpeechSettings(speechSettings);
+    });
+
+    document.getElementById('input-text').addEventListener('input', refreshVoiceOptions);
+    document.getElementById('sample-text-select').addEventListener('change', refreshVoiceOptions);
+    speaker.onVoicesChanged(refreshVoiceOptions);
+    refreshVoiceOptions();
+}
+
+// Initialize focus strategy selector from localStorage
+function initializeFocusStrategy() {
+    const select = document.getElementById('focus-strategy');
+    select.value = focusStrategy;
+    select.addEventListener('change', () => {
+        focusStrategy = select.value;
+        setStorageItem('focusStrategy', focusStrategy);
+        // Tornar a pintar la paraula en pausa amb la nova estratègia
+        engine.configure({ focusStrategy });
+    });
+}
+
+/**
+ * Actualitza la vista prèvia de la velocitat efectiva de cada ajust de ritme per al text actual.
+ * Només es calcula amb la secció de ritme oberta.
+ */
+function updatePacingPreview() {
+    const section = document.getElementById('pacing-settings');
+    if (!section.open) return;
+
+    const text = document.getElementById('input-text').value;
+    const wpm = parseInt(document.getElementById('target-wpm').value) || 300;
+    const tokens = tokenizeForReading(text, detectLanguage(text));
+    const summary = document.getElementById('pacing-summary');
+
+    section.querySelectorAll('[data-preview]').forEach(output => {
+        const keys = output.dataset.preview.split(',');
+        output.textContent = tokens.length > 0
+            ? i18next.t('pacing.preview', { wpm: Math.round(previewSettingWPM(tokens, pacingSettings, keys, wpm)) })
+            : '';
+    });
+
+    if (tokens.length === 0) {
+        summary.textContent = i18next.t('pacing.noText');
+    } else if (pacingSettings.matchTarget) {
+        const { scale } = createPacingPlan(tokens, pacingSettings);
+        summary.textContent = i18next.t('pacing.summaryMatched', { wpm, plain: Math.round(wpm / scale) });
+    } else {
+        summary.textContent = i18next.t('pacing.summary', { wpm: Math.round(estimateEffectiveWPM(tokens, pacingSettings, wpm)), target: wpm });
+    }
+}
+
+/**
+ * Aplica un canvi en els pesos del ritme: el desa, refà el pla de la sessió carregada i la vista prèvia.
+ */
+function applyPacingSettings() {
+    savePacingSettings(pacingSettings);
+    engine.configure({ pacing: pacingSettings });
+    updatePacingPreview();
+}
+
+// Initialize pacing settings from localStorage
+function initializePacingSettings() {
+    const section = document.getElementById('pacing-settings');
+    const inputs = section.querySelectorAll('[data-pacing]');
+
+    const fillInputs = () => inputs.forEach(input => {
+        const value = pacingSettings[input.dataset.pacing];
+        if (input.type === 'checkbox') input.checked = value;
+        else input.value = value;
+    });
+    fillInputs();
+
+    inputs.forEach(input => {
+        input.addEventListener('input', () => {
+            const key = input.dataset.pacing;
+            if (input.type === 'checkbox') {
+                pacingSettings[key] = input.checked;
+            } else {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < 0) return;
+                pacingSettings[key] = value;
+            }
+            applyPacingSettings();
+        });
+    });
+
+    document.getElementById('pacing-reset').addEventListener('click', () => {
+        pacingSettings = { ...DEFAULT_PACING };
+        fillInputs();
+        applyPacingSettings();
+    });
+
+    section.addEventListener('toggle', updatePacingPreview);
+    document.getElementById('input-text').addEventListener('input', updatePacingPreview);
+    document.getElementById('target-wpm').addEventListener('input', updatePacingPreview);
+    document.getElementById('split-long-words').addEventListener('change', updatePacingPreview);
+    document.getElementById('sample-text-select').addEventListener('change', updatePacingPreview);
+}
+
+/**
+ * Dibuixa la corba de velocitat del programa triat al popup de configuració.
+ */
+function renderSpeedCurve() {
+    const svg = document.getElementById('speed-curve-graph');
+    const width = 300;
+    const height = 100;
+    const margin = 4;
+    const program = getCurrentProgram();
+    const start = parseInt(document.getElementById('start-wpm').value) || 100;
+    const target = parseInt(document.getElementById('target-wpm').value) || 300;
+    const span = getProgramSpan(program);
+    const points = sampleProgram(program, start, target, span);
+
+    const speeds = points.map(point => point.wpm);
+    const min = Math.min(...speeds);
+    const max = Math.max(...speeds);
+    const range = max - min || 1;
+    const toX = (position) => margin + (position / span) * (width - 2 * margin);
+    const toY = (wpm) => height - margin - ((wpm - min) / range) * (height - 2 * margin);
+
+    svg.querySelector('.curve-line').setAttribute('points',
+        points.map(point => `${toX(point.position).toFixed(1)},${toY(point.wpm).toFixed(1)}`).join(' '));
+    svg.querySelector('.curve-target').setAttribute('y1', toY(target));
+    svg.querySelector('.curve-target').setAttribute('y2', toY(target));
+
+    const unit = i18next.t(`program.units.${program.rampUnit}`);
+    document.getElementById('speed-curve-max').textContent = i18next.t('controls.wpmCounter', { wpm: Math.round(max) });
+    document.getElementById('speed-curve-min').textContent = i18next.t('controls.wpmCounter', { wpm: Math.round(min) });
+    document.getElementById('speed-curve-span').textContent = `${Math.round(span)} ${unit}`;
+}
+
+/**
+ * Mostra només les opcions que fan servir la corba triada.
+ */
+function updateProgramOptionsVisibility() {
+    document.querySelectorAll('[data-program-curve]').forEach(row => {
+        row.hidden = row.dataset.programCurve !== speedProgram.curve;
+    });
+}
+
+/**
+ * Ajusta el màxim de la durada de la rampa a la unitat triada.
+ */
+function applyRampLimits() {
+    const unit = document.getElementById('ramp-unit').value;
+    document.getElementById('acceleration-time').max = unit === 'words' ? 2000 : 60;
+}
+
+// Initialize speed program options from localStorage
+function initializeSpeedProgram() {
+    const inputs = document.querySelectorAll('[data-program]');
+    inputs.forEach(input => {
+        input.value = speedProgram[input.dataset.program];
+        input.addEventListener('input', () => {
+            const key = input.dataset.program;
+            if (input.tagName === 'SELECT') {
+                speedProgram[key] = input.value;
+            } else {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < 0) return;
+                speedProgram[key] = value;
+            }
+            saveSpeedProgram(speedProgram);
+            updateProgramOptionsVisibility();
+            renderSpeedCurve();
+        });
+    });
+
+    // En canviar d'unitat, convertir la durada de la rampa amb la velocitat mitjana
+    const rampUnit = document.getElementById('ramp-unit');
+    const rampInput = document.getElementById('acceleration-time');
+    rampUnit.addEventListener('change', () => {
+        const averageWPM = ((parseInt(document.getElementById('start-wpm').value) || 100) +
+            (parseInt(document.getElementById('target-wpm').value) || 300)) / 2;
+        const length = parseInt(rampInput.value) || 10;
+        rampInput.value = rampUnit.value === 'words'
+            ? Math.round(length * averageWPM / 60)
+            : Math.max(1, Math.round(length * 60 / averageWPM));
+        applyRampLimits();
+        renderSpeedCurve();
+    });
+    applyRampLimits();
+
+    ['start-wpm', 'target-wpm', 'acceleration-time'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderSpeedCurve);
+    });
+    updateProgramOptionsVisibility();
+    renderSpeedCurve();
+}
+
+/**
+ * Configuració actual dels camps, per desar-la o compartir-la (vegeu presets.js).
+ * Si el text és el de la biblioteca seleccionat, s'hi desa la referència en lloc del text.
+ * @returns {import('./presets.js').Preset}
+ */
+function getCurrentPreset() {
+    const text = document.getElementById('input-text').value;
+    const entry = getLibraryText(document.getElementById('sample-text-select').value);
+    // La mateixa durada de rampa que faria servir una sessió començada ara
+    const { rampLength, ...program } = getCurrentProgram();
+    const preset = {
+        startWPM: parseInt(document.getElementById('start-wpm').value) || 100,
+        targetWPM: parseInt(document.getElementById('target-wpm').value) || 300,
+        rampLength,
+        program,
+        theme: document.body.classList.contains('dark-mode') ? 'dark' : 'light',
+        fontScale: parseFloat(document.getElementById('font-size-slider').value)
+    };
+    if (entry && entry.text === text) preset.textId = entry.id;
+    else if (text.trim()) preset.text = text;
+    return preset;
+}
+
+/**
+ * Aplica una configuració als camps del popup, al tema i a la mida de lletra.
+ * @param {import('./presets.js').Preset} preset - Configuració validada.
+ */
+function applyPreset(preset) {
+    const select = document.getElementById('sample-text-select');
+    const textarea = document.getElementById('input-text');
+    if (preset.textId && getLibraryText(preset.textId)) {
+        select.value = preset.textId;
+        select.dispatchEvent(new Event('change'));
+    } else if (preset.text) {
+        select.value = '';
+        textarea.value = preset.text;
+        updateInputWordCount();
+        updateBookmarkRow();
+    } else if (preset.textId) {
+        // Un text propi d'un altre dispositiu: es manté el text actual
+        showPresetMessage('presets.textMissing');
+    }
+
+    document.getElementById('start-wpm').value = preset.startWPM;
+    document.getElementById('target-wpm').value = preset.targetWPM;
+    document.getElementById('acceleration-time').value = preset.rampLength;
+
+    speedProgram = { ...DEFAULT_PROGRAM, ...preset.program };
+    saveSpeedProgram(speedProgram);
+    document.querySelectorAll('[data-program]').forEach(input => {
+        input.value = speedProgram[input.dataset.program];
+    });
+    applyRampLimits();
+    updateProgramOptionsVisibility();
+    renderSpeedCurve();
+
+    toggleTheme(preset.theme === 'dark');
+    document.getElementById('font-size-slider').value = preset.fontScale;
+    updateFontSize(preset.fontScale);
+    refreshValidation();
+}
+
+/**
+ * Aplica la configuració que porti l'enllaç amb què s'ha obert la pàgina i, si ho demana, comença la lectura.
+ */
+async function applyPresetFromURL() {
+    let loaded;
+    try {
+        loaded = await readPresetFromURL(window.location.href);
+    } catch (error) {
+        console.error('No s\'ha pogut llegir la configuració de l\'enllaç', error);
+        document.getElementById('presets-section').open = true;
+        showPresetMessage('presets.invalidLink');
+        clearPresetFromURL();
+        return;
+    }
+    if (!loaded) return;
+
+    const { preset, autostart } = loaded;
+    clearPresetFromURL();
+    applyPreset(preset);
+    document.getElementById('presets-section').open = true;
+    document.getElementById('preset-name').value = preset.name;
+    showPresetMessage('presets.loaded', { name: preset.name || i18next.t('presets.untitled') });
+    if (autostart && document.getElementById('input-text').value.trim()) startExercise();
+}
+
+// Initialize long word splitting from localStorage
+function initializeSplitLongWords() {
+    const checkbox = document.getElementById('split-long-words');
+    checkbox.checked = localStorage.getItem('splitLongWords') !== 'false';
+    checkbox.addEventListener('change', () => {
+        setStorageItem('splitLongWords', checkbox.checked);
+    });
+}
+
+/**
+ * Preguntes de comprensió d'un text: les del text de mostra (si ho és) i les afegides pel professorat.
+ * @param {string} text - Text de lectura.
+ * @returns {import('./quiz.js').Question[]}
+ */
+function getQuestionsForText(text) {
+    const sample = Object.values(sampleTexts).find(sample => sample.text === text);
+    return [...(sample?.questions || []), ...loadCustomQuestions(text)];
+}
+
+/**
+ * Connecta el qüestionari final i l'editor de preguntes.
+ */
+function initializeQuiz() {
+    const textarea = document.getElementById('input-text');
+    document.getElementById('quiz-skip').addEventListener('click', hideQuiz);
+    document.getElementById('quiz-close').addEventListener('click', hideQuiz);
+
+    refreshQuizEditor = initializeQuizEditor({
+        getText: () => textarea.value,
+        getBuiltInCount: () => Object.values(sampleTexts).find(sample => sample.text === textarea.value)?.questions?.length || 0
+    });
+    textarea.addEventListener('input', refreshQuizEditor);
+    document.getElementById('sample-text-select').addEventListener('change', refreshQuizEditor);
+}
+
+/**
+ * Posa al camp de text un capítol del fitxer importat.
+ * @param {number} index - Índex del capítol.
+ */
+function showImportedChapter(index) {
+    const textarea = document.getElementById('input-text');
+    textarea.value = importedText.chapters[index].text;
+    textarea.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Importa un fitxer i en carrega el text (o el primer capítol, si és un EPUB).
+ * @param {File} file - Fitxer triat o deixat anar.
+ */
+async function loadImportedFile(file) {
+    const status = document.getElementById('import-status');
+    const chapterSelect = document.getElementById('chapter-select');
+    status.textContent = i18next.t('import.loading', { name: file.name });
+
+    try {
+        importedText = await importFile(file);
+    } catch (error) {
+        status.textContent = i18next.t(`import.errors.${error.key || 'invalidFile'}`);
+        return;
+    }
+
+    const { title, chapters } = importedText;
+    chapterSelect.replaceChildren(...chapters.map((chapter, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = chapter.title || i18next.t('import.untitledChapter', { number: index + 1 });
+        return option;
+    }));
+    document.getElementById('chapter-row').hidden = chapters.length < 2;
+    document.getElementById('sample-text-select').value = '';
+    status.textContent = i18next.t('import.loaded', { title, count: chapters.length });
+    showImportedChapter(0);
+}
+
+/**
+ * Connecta la importació de fitxers: botó, arrossegar i deixar anar a qualsevol lloc de la finestra i selector de capítols.
+ */
+function initializeFileImport() {
+    const fileInput = document.getElementById('import-file');
+    const popup = document.getElementById('input-popup');
+
+    document.getElementById('import-file-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) loadImportedFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.getElementById('chapter-select').addEventListener('change', (e) => {
+        showImportedChapter(parseInt(e.target.value));
+    });
+    document.getElementById('sample-text-select').addEventListener('change', () => {
+        document.getElementById('chapter-row').hidden = true;
+        document.getElementById('import-status').textContent = '';
+    });
+
+    const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        popup.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', (e) => {
+        // Només quan el cursor surt de la finestra
+        if (!e.relatedTarget) popup.classList.remove('drag-over');
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        popup.classList.remove('drag-over');
+        const [file] = e.dataTransfer.files;
+        if (!file) return;
+        pauseExercise();
+        if (!isInputPopupOpen()) toggleInputPopup(true);
+        loadImportedFile(file);
+    });
+}
+
 // Funció per actualitzar el comptador de paraules del textarea
 function updateInputWordCount() {
     const textarea = document.getElementById('input-text');
     const wordCountElement = document.getElementById('word-count');
-    const words = tokenizeText(textarea.value);
-    const count = words.length;
-    wordCountElement.textContent = `${count} ${count === 1 ? 'paraula' : 'paraules'}`;
+    const words = countWords(tokenizeText(textarea.value));
+    wordCountElement.textContent = i18next.t('settings.wordCount', { count: words });
 }
 
 
@@ -372,31 +1318,105 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Config popup toggle
     const configBtn = document.getElementById('config-btn');
-    configBtn.addEventListener('click', () => {
-        toggleInputPopup(true);
-    });
+    configBtn.addEventListener('click', toggleConfig);
 
-    // Start button
+    // Start / pause button
     const startBtn = document.getElementById('start-button');
-    startBtn.addEventListener('click', () => {
-        document.getElementById('start-button').style.display = 'none';
-
-        document.getElementById('stop-button').style.display = 'inline-block';
-        startExercise();
-    });
+    startBtn.addEventListener('click', togglePlayback);
 
 
     // Stop button
     const stopBtn = document.getElementById('stop-button');
-    stopBtn.addEventListener('click', () =>{
-        document.getElementById('stop-button').style.display = 'none';
-        document.getElementById('start-button').style.display = 'inline-block';
-        stopExercise();
+    stopBtn.addEventListener('click', stopExercise);
+
+    // Botons de navegació per paraula, frase i paràgraf
+    document.getElementById('prev-word-button').addEventListener('click', () => engine.skipWords(-1));
+    document.getElementById('next-word-button').addEventListener('click', () => engine.skipWords(1));
+    document.getElementById('prev-sentence-button').addEventListener('click', () => engine.skipSentence(-1));
+    document.getElementById('next-sentence-button').addEventListener('click', () => engine.skipSentence(1));
+    document.getElementById('prev-paragraph-button').addEventListener('click', () => engine.skipParagraph(-1));
+    document.getElementById('next-paragraph-button').addEventListener('click', () => engine.skipParagraph(1));
+
+
+    // Keyboard shortcuts
+    document.getElementById('shortcuts-btn').addEventListener('click', () => {
+        toggleShortcutsPopup(!isShortcutsPopupOpen());
+    });
+    // Aparença del lector. Amb la lectura aturada, es torna a pintar la paraula amb les opcions noves
+    document.getElementById('appearance-btn').addEventListener('click', toggleAppearance);
+    initializeAppearance({
+        onChange: () => {
+            guidedParagraph = -1;
+            engine.refresh();
+        }
     });
 
+    // Historial de sessions
+    document.getElementById('history-btn').addEventListener('click', toggleHistory);
+    initializeHistory();
+
+    // Biblioteca de textos i marcadors
+    document.getElementById('library-btn').addEventListener('click', toggleLibrary);
+    document.getElementById('open-library-btn').addEventListener('click', () => toggleLibraryPopup(true));
+    initializeLibrary({
+        getCurrentText: () => ({ title: getTextTitle(textarea.value), text: textarea.value }),
+        onOpen: (entry) => {
+            const select = document.getElementById('sample-text-select');
+            select.value = entry.id;
+            select.dispatchEvent(new Event('change'));
+        },
+        onChange: renderTextSelector
+    });
+    textarea.addEventListener('input', updateBookmarkRow);
+    document.getElementById('sample-text-select').addEventListener('change', updateBookmarkRow);
+    // En tancar la pestanya, la sessió en curs es desa com a interrompuda, igual que en aturar-la. Si la pàgina
+    // només queda en memòria per tornar-hi (event.persisted), la sessió continua i només es desa el marcador.
+    window.addEventListener('pagehide', (event) => {
+        if (!isSessionActive()) return;
+        if (event.persisted) saveReadingPosition();
+        else stopExercise();
+    });
+
+    initializeKeyboardShortcuts({
+        togglePlay: togglePlayback,
+        stop: stopExercise,
+        prevWord: () => engine.skipWords(-1),
+        nextWord: () => engine.skipWords(1),
+        prevSentence: () => engine.skipSentence(-1),
+        nextSentence: () => engine.skipSentence(1),
+        prevParagraph: () => engine.skipParagraph(-1),
+        nextParagraph: () => engine.skipParagraph(1),
+        faster: () => changeWPM(25),
+        slower: () => changeWPM(-25),
+        fontLarger: () => stepFontSize(1),
+        fontSmaller: () => stepFontSize(-1),
+        toggleTheme: () => toggleTheme(!document.body.classList.contains('dark-mode')),
+        toggleConfig,
+        showShortcuts: () => toggleShortcutsPopup(!isShortcutsPopupOpen()),
+        showHistory: toggleHistory,
+        showLibrary: toggleLibrary,
+        showAppearance: toggleAppearance,
+        closePopups
+    });
 
     // Initialize settings on load
     initializeSampleTextSelector();
     initializeTheme();
     initializeFontSize();
+    initializeSplitLongWords();
+    initializeFocusStrategy();
+    initializeDisplaySettings();
+    initializeSpeech();
+    initializePacingSettings();
+    initializeSpeedProgram();
+    initializeProgressSeek();
+    initializeQuiz();
+    initializeFileImport();
+    initializePresets({ getCurrentPreset, applyPreset });
+    refreshValidation = initializeValidation({ onValidate: updateStartAvailability });
+    updatePlaybackControls();
+    // La configuració de l'enllaç s'aplica amb les traduccions ja carregades, pels missatges
+    initializeLanguage().then(applyPresetFromURL);
+    // Funcionament sense connexió i avís de versions noves
+    initializeServiceWorker();
 });
\ No newline at end of file
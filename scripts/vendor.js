@@ -0,0 +1,34 @@
+// Copia a vendor/ les dependències que fa servir el navegador, perquè l'aplicació funcioni sense xarxa.
+// Ús: `npm install` i després `npm run vendor`. Cal tornar-ho a fer en actualitzar alguna dependència
+// (i afegir els fitxers nous a la llista de sw.js, si n'hi ha).
+import { cpSync, rmSync } from 'node:fs';
+
+const FONT_AWESOME = '@fortawesome/fontawesome-free';
+const OPEN_DYSLEXIC = '@fontsource/opendyslexic';
+
+// [origen dins de node_modules, destinació dins de vendor]
+const FILES = [
+    ['i18next/dist/esm/i18next.js', 'i18next/i18next.js'],
+    ['i18next/LICENSE', 'i18next/LICENSE'],
+    ['i18next-browser-languagedetector/dist/esm/i18nextBrowserLanguageDetector.js', 'i18next-browser-languagedetector/i18nextBrowserLanguageDetector.js'],
+    ['i18next-browser-languagedetector/LICENSE', 'i18next-browser-languagedetector/LICENSE'],
+    [`${FONT_AWESOME}/css/all.min.css`, 'fontawesome/css/all.min.css'],
+    [`${FONT_AWESOME}/webfonts/fa-brands-400.woff2`, 'fontawesome/webfonts/fa-brands-400.woff2'],
+    [`${FONT_AWESOME}/webfonts/fa-regular-400.woff2`, 'fontawesome/webfonts/fa-regular-400.woff2'],
+    [`${FONT_AWESOME}/webfonts/fa-solid-900.woff2`, 'fontawesome/webfonts/fa-solid-900.woff2'],
+    [`${FONT_AWESOME}/webfonts/fa-v4compatibility.woff2`, 'fontawesome/webfonts/fa-v4compatibility.woff2'],
+    [`${FONT_AWESOME}/LICENSE.txt`, 'fontawesome/LICENSE.txt'],
+    [`${OPEN_DYSLEXIC}/files/opendyslexic-latin-400-normal.woff2`, 'opendyslexic/opendyslexic-latin-400-normal.woff2'],
+    [`${OPEN_DYSLEXIC}/files/opendyslexic-latin-700-normal.woff2`, 'opendyslexic/opendyslexic-latin-700-normal.woff2'],
+    [`${OPEN_DYSLEXIC}/LICENSE`, 'opendyslexic/LICENSE'],
+    ['pdfjs-dist/build/pdf.min.mjs', 'pdfjs/pdf.min.mjs'],
+    ['pdfjs-dist/build/pdf.worker.min.mjs', 'pdfjs/pdf.worker.min.mjs'],
+    ['pdfjs-dist/LICENSE', 'pdfjs/LICENSE']
+];
+
+const root = new URL('../', import.meta.url);
+rmSync(new URL('vendor/', root), { recursive: true, force: true });
+FILES.forEach(([from, to]) => {
+    cpSync(new URL(`node_modules/${from}`, root), new URL(`vendor/${to}`, root));
+    console.log(`vendor/${to}`);
+});
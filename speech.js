@@ -0,0 +1,183 @@
+// Lectura en veu alta amb la síntesi de veu del navegador, sincronitzada amb les paraules de la pantalla.
+import { setStorageItem } from './storage.js';
+
+/**
+ * Modes disponibles:
+ * - off: sense veu
+ * - follow: la veu segueix el text; cada paraula (o grup) es llegeix en mostrar-se i no es passa
+ *   a la següent fins que s'ha acabat de dir
+ * - lead: la veu marca el ritme; es llegeix la frase sencera a la velocitat actual i les paraules
+ *   avancen amb els events de límit de paraula de la veu
+ */
+export const SPEECH_MODES = ['off', 'follow', 'lead'];
+
+/**
+ * Opcions per defecte:
+ * - mode: vegeu SPEECH_MODES
+ * - voices: veu triada per a cada idioma ({ ca: voiceURI, ... }); si no n'hi ha, es tria automàticament
+ */
+export const DEFAULT_SPEECH = {
+    mode: 'off',
+    voices: {}
+};
+
+// Paraules per minut que fa una veu típica amb `rate` 1
+const BASE_WPM = 180;
+
+// Límits de `rate` que accepten els navegadors
+const MIN_RATE = 0.1;
+const MAX_RATE = 10;
+
+/**
+ * @typedef {Object} SpeechText
+ * @property {string} text - Text a llegir.
+ * @property {number[]} starts - Posició dins de `text` on comença cada token.
+ */
+
+/**
+ * Carrega les opcions desades, completades amb els valors per defecte.
+ * @returns {Object}
+ */
+export function loadSpeechSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('speechSettings')) || {};
+        return { ...DEFAULT_SPEECH, ...saved, voices: { ...saved.voices } };
+    } catch {
+        return { ...DEFAULT_SPEECH, voices: {} };
+    }
+}
+
+/**
+ * Desa les opcions a localStorage.
+ * @param {Object} settings - Opcions de veu.
+ */
+export function saveSpeechSettings(settings) {
+    setStorageItem('speechSettings', JSON.stringify(settings));
+}
+
+/**
+ * Velocitat de la veu (`rate`) per llegir a unes paraules per minut.
+ * @param {number} wpm - Paraules per minut.
+ * @returns {number}
+ */
+export function wpmToRate(wpm) {
+    return Math.max(MIN_RATE, Math.min(wpm / BASE_WPM, MAX_RATE));
+}
+
+/**
+ * Veus d'un idioma ('ca' inclou 'ca-ES', 'ca_ES'...).
+ * @param {SpeechSynthesisVoice[]} voices - Veus disponibles.
+ * @param {string} lang - Codi de l'idioma.
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function getVoicesForLanguage(voices, lang) {
+    return voices.filter(voice => voice.lang.toLowerCase().replace('_', '-').split('-')[0] === lang);
+}
+
+/**
+ * Tria la veu per a un idioma: la preferida si hi és; si no, la predeterminada del sistema
+ * per a l'idioma, una de local o la primera que hi hagi.
+ * @param {SpeechSynthesisVoice[]} voices - Veus disponibles.
+ * @param {string} lang - Codi de l'idioma.
+ * @param {string} [preferredURI] - Veu triada per l'usuari.
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function pickVoice(voices, lang, preferredURI) {
+    const candidates = getVoicesForLanguage(voices, lang);
+    return candidates.find(voice => voice.voiceURI === preferredURI) ||
+        candidates.find(voice => voice.default) ||
+        candidates.find(voice => voice.localService) ||
+        candidates[0] ||
+        null;
+}
+
+/**
+ * Uneix tokens en el text que es llegirà, recordant on comença cada un per situar els events de
+ * límit de paraula. Els trossos d'una paraula dividida es tornen a enganxar sense el guionet afegit.
+ * @param {import('./tokenizer.js').Token[]} tokens - Tokens consecutius.
+ * @returns {SpeechText}
+ */
+export function buildSpeechText(tokens) {
+    const starts = [];
+    let text = '';
+    tokens.forEach((token, index) => {
+        if (index > 0 && token.part === 0) text += ' ';
+        starts.push(text.length);
+        text += token.softHyphen ? token.text.slice(0, -1) : token.text;
+    });
+    return { text, starts };
+}
+
+/**
+ * Token que es llegeix en una posició del text.
+ * @param {number[]} starts - Inici de cada token (vegeu buildSpeechText).
+ * @param {number} charIndex - Posició de l'event de límit.
+ * @returns {number} - Índex del token dins del tros llegit.
+ */
+export function findTokenAt(starts, charIndex) {
+    let found = 0;
+    starts.forEach((start, index) => {
+        if (start <= charIndex) found = index;
+    });
+    return found;
+}
+
+/**
+ * Crea el lector de veu sobre un motor de síntesi. Per defecte fa servir el del navegador;
+ * es pot passar un motor fals amb la mateixa interfície per provar-lo sense àudio.
+ * @param {Object} [options]
+ * @param {SpeechSynthesis} [options.synth] - Motor (`speak`, `cancel`, `getVoices`).
+ * @param {typeof SpeechSynthesisUtterance} [options.Utterance] - Constructor de les locucions.
+ * @returns {{
+ *   isAvailable: () => boolean,
+ *   getVoices: () => SpeechSynthesisVoice[],
+ *   onVoicesChanged: (callback: () => void) => void,
+ *   speak: (text: string, options: {lang: string, rate: number, voice?: SpeechSynthesisVoice|null,
+ *     onBoundary?: (charIndex: number) => void, onEnd?: () => void}) => void,
+ *   cancel: () => void
+ * }}
+ */
+export function createSpeaker({
+    synth = globalThis.speechSynthesis,
+    Utterance = globalThis.SpeechSynthesisUtterance
+} = {}) {
+    // Locució en curs: en cancel·lar-la, els seus events ja no s'han d'atendre
+    let current = null;
+
+    const cancel = () => {
+        current = null;
+        if (synth && (synth.speaking || synth.pending)) synth.cancel();
+    };
+
+    const speak = (text, { lang, rate, voice = null, onBoundary, onEnd }) => {
+        if (!synth || !Utterance) return;
+        cancel();
+        const utterance = new Utterance(text);
+        utterance.lang = voice ? voice.lang : lang;
+        if (voice) utterance.voice = voice;
+        utterance.rate = rate;
+        current = utterance;
+
+        utterance.onboundary = (e) => {
+            if (current === utterance && e.name !== 'sentence' && onBoundary) onBoundary(e.charIndex);
+        };
+        // Si la veu falla, la lectura continua igualment
+        const finish = () => {
+            if (current !== utterance) return;
+            current = null;
+            if (onEnd) onEnd();
+        };
+        utterance.onend = finish;
+        utterance.onerror = finish;
+        synth.speak(utterance);
+    };
+
+    return {
+        isAvailable: () => Boolean(synth && Utterance),
+        getVoices: () => (synth ? synth.getVoices() : []),
+        // Les veus es carreguen de manera asíncrona en alguns navegadors
+        onVoicesChanged: (callback) => synth?.addEventListener?.('voiceschanged', callback),
+        speak,
+        cancel
+    };
+}
@@ -0,0 +1,106 @@
+// Programes de velocitat: com evoluciona la velocitat durant una sessió.
+import { setStorageItem } from './storage.js';
+
+/**
+ * Corbes disponibles:
+ * - linear: de la velocitat inicial a l'objectiu en línia recta
+ * - ease-in: comença suau i accelera cap al final de la rampa
+ * - step: puja per esglaons iguals
+ * - interval: rampa lineal i després alterna ràfegues per sobre de l'objectiu amb períodes de recuperació
+ */
+export const SPEED_CURVES = ['linear', 'ease-in', 'step', 'interval'];
+
+/**
+ * Opcions per defecte d'un programa. La durada de la rampa (`rampLength`) surt del camp
+ * de temps d'acceleració i s'expressa en la unitat `rampUnit` ('seconds' o 'words'),
+ * igual que les durades de les ràfegues i de la recuperació.
+ */
+export const DEFAULT_PROGRAM = {
+    curve: 'linear',
+    rampUnit: 'seconds',
+    steps: 4,
+    burstPercent: 120,
+    burstLength: 15,
+    recoveryPercent: 80,
+    recoveryLength: 30
+};
+
+/**
+ * Carrega el programa desat, completat amb els valors per defecte.
+ * @returns {Object}
+ */
+export function loadSpeedProgram() {
+    try {
+        return { ...DEFAULT_PROGRAM, ...JSON.parse(localStorage.getItem('speedProgram')) };
+    } catch {
+        return { ...DEFAULT_PROGRAM };
+    }
+}
+
+/**
+ * Desa el programa a localStorage.
+ * @param {Object} program - Opcions del programa.
+ */
+export function saveSpeedProgram(program) {
+    setStorageItem('speedProgram', JSON.stringify(program));
+}
+
+/**
+ * Velocitat en un punt de la sessió. Funciona igual si la velocitat inicial és més alta que l'objectiu.
+ * @param {Object} program - Opcions del programa, amb `rampLength`.
+ * @param {number} startWPM - Velocitat inicial.
+ * @param {number} targetWPM - Velocitat objectiu.
+ * @param {number} position - Segons reproduïts o paraules llegides, segons `program.rampUnit`.
+ * @returns {number} - Paraules per minut.
+ */
+export function getProgramWPM(program, startWPM, targetWPM, position) {
+    const progress = program.rampLength > 0 ? Math.min(position / program.rampLength, 1) : 1;
+    const range = targetWPM - startWPM;
+
+    switch (program.curve) {
+        case 'ease-in':
+            return startWPM + range * progress * progress;
+        case 'step': {
+            const steps = Math.max(1, Math.round(program.steps));
+            return startWPM + range * (progress < 1 ? Math.floor(progress * steps) / steps : 1);
+        }
+        case 'interval': {
+            if (progress < 1) return startWPM + range * progress;
+            const cycle = program.burstLength + program.recoveryLength;
+            if (cycle <= 0) return targetWPM;
+            const phase = (position - program.rampLength) % cycle;
+            const percent = phase < program.burstLength ? program.burstPercent : program.recoveryPercent;
+            return targetWPM * percent / 100;
+        }
+        default:
+            return startWPM + range * progress;
+    }
+}
+
+/**
+ * Tram que val la pena dibuixar: la rampa i una mica més (dos cicles complets en l'entrenament per intervals).
+ * @param {Object} program - Opcions del programa, amb `rampLength`.
+ * @returns {number} - Segons o paraules.
+ */
+export function getProgramSpan(program) {
+    if (program.curve === 'interval') {
+        return program.rampLength + 2 * (program.burstLength + program.recoveryLength);
+    }
+    return Math.max(program.rampLength * 1.25, 1);
+}
+
+/**
+ * Mostres de la corba de velocitat per dibuixar-la.
+ * @param {Object} program - Opcions del programa, amb `rampLength`.
+ * @param {number} startWPM - Velocitat inicial.
+ * @param {number} targetWPM - Velocitat objectiu.
+ * @param {number} span - Tram a mostrar (segons o paraules).
+ * @param {number} [samples=200] - Nombre de punts.
+ * @returns {Array<{position: number, wpm: number}>}
+ */
+export function sampleProgram(program, startWPM, targetWPM, span, samples = 200) {
+    return Array.from({ length: samples + 1 }, (_, i) => {
+        const position = span * i / samples;
+        return { position, wpm: getProgramWPM(program, startWPM, targetWPM, position) };
+    });
+}
@@ -0,0 +1,18 @@
+// Escriptura a localStorage que no atura l'aplicació si el navegador no pot desar res.
+
+/**
+ * Desa un valor a localStorage. Amb l'emmagatzematge ple o no disponible (per exemple, en alguns
+ * modes privats) no llança cap error: ho anota a la consola i l'aplicació continua amb el valor en memòria.
+ * @param {string} key - Clau.
+ * @param {string|number|boolean} value - Valor; els objectes s'hi passen ja convertits a JSON.
+ * @returns {boolean} - Si s'ha pogut desar.
+ */
+export function setStorageItem(key, value) {
+    try {
+        localStorage.setItem(key, value);
+        return true;
+    } catch (error) {
+        console.error(`No s'ha pogut desar «${key}» a localStorage`, error);
+        return false;
+    }
+}
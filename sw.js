@@ -0,0 +1,88 @@
+// Service worker: desa l'aplicació a la memòria cau perquè es pugui instal·lar i fer servir sense connexió.
+// Cal canviar CACHE_VERSION a cada versió publicada: el navegador detecta el service worker nou i
+// l'aplicació ofereix actualitzar-se (vegeu pwa.js).
+const CACHE_VERSION = 'speeedr-v1';
+
+// Fitxers de l'aplicació (app shell). Les dependències són còpies locals (vegeu scripts/vendor.js).
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './manifest.webmanifest',
+    './appearance.js',
+    './display-modes.js',
+    './engine.js',
+    './focus-point.js',
+    './history.js',
+    './i18n.js',
+    './keyboard.js',
+    './library.js',
+    './pacing.js',
+    './presets.js',
+    './pwa.js',
+    './quiz.js',
+    './sample-texts.js',
+    './script.js',
+    './speech.js',
+    './speed-programs.js',
+    './storage.js',
+    './text-import.js',
+    './text-key.js',
+    './tokenizer.js',
+    './validation.js',
+    './locales/ca.json',
+    './locales/es.json',
+    './locales/en.json',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './vendor/i18next/i18next.js',
+    './vendor/i18next-browser-languagedetector/i18nextBrowserLanguageDetector.js',
+    './vendor/fontawesome/css/all.min.css',
+    './vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    './vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    './vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    './vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    './vendor/opendyslexic/opendyslexic-latin-400-normal.woff2',
+    './vendor/opendyslexic/opendyslexic-latin-700-normal.woff2',
+    // pdf.js només es fa servir en importar un PDF, però també ha de funcionar a classe sense xarxa
+    './vendor/pdfjs/pdf.min.mjs',
+    './vendor/pdfjs/pdf.worker.min.mjs'
+];
+
+self.addEventListener('install', (event) => {
+    // El service worker nou es queda en espera fins que l'usuari accepta actualitzar (missatge SKIP_WAITING)
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Primer la memòria cau; el que no hi és es demana a la xarxa i s'hi desa.
+// Sense connexió, qualsevol navegació (per exemple, un enllaç amb ?preset=) obre l'aplicació.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => cached || fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => (request.mode === 'navigate' ? caches.match('./index.html') : Response.error())))
+    );
+});
@@ -0,0 +1,326 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReadingEngine, getChunkFocus, MAX_WPM } from '../engine.js';
+import { createSpeaker } from '../speech.js';
+import { tokenizeText } from '../tokenizer.js';
+import { DEFAULT_PROGRAM } from '../speed-programs.js';
+
+/**
+ * Rellotge manual: el temps només avança amb `tick`, que executa en ordre les crides que toquen.
+ */
+function createManualClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+    return {
+        now: () => now,
+        setTimeout: (callback, delay) => {
+            timers.set(nextId, { at: now + delay, callback });
+            return nextId++;
+        },
+        clearTimeout: (id) => timers.delete(id),
+        tick(ms) {
+            const end = now + ms;
+            for (;;) {
+                const [id, timer] = [...timers].filter(([, { at }]) => at <= end).sort((a, b) => a[1].at - b[1].at)[0] || [];
+                if (!timer) break;
+                timers.delete(id);
+                now = timer.at;
+                timer.callback();
+            }
+            now = end;
+        }
+    };
+}
+
+/**
+ * Motor amb rellotge manual que anota tot el que avisa.
+ */
+function createTestEngine(options = {}) {
+    const clock = createManualClock();
+    const log = { words: [], progress: [], states: [], finished: null };
+    const engine = createReadingEngine({
+        clock,
+        onWord: (view) => log.words.push(view.text),
+        onProgress: (progress) => log.progress.push(progress),
+        onStateChange: (state) => log.states.push(state),
+        onFinish: (stats) => {
+            log.finished = stats;
+        },
+        ...options
+    });
+    return { engine, clock, log };
+}
+
+const TEXT = 'u dos tres quatre cinc';
+const constant = (wpm) => ({ startWPM: wpm, targetWPM: wpm });
+
+/**
+ * Lector de veu sobre un motor de síntesi fals: les locucions queden a `spoken` i els seus events
+ * (`onboundary`, `onend`) es criden a mà.
+ */
+function createTestSpeaker() {
+    const spoken = [];
+    const synth = {
+        speaking: false,
+        pending: false,
+        speak(utterance) {
+            this.speaking = true;
+            spoken.push(utterance);
+        },
+        cancel() {
+            this.speaking = false;
+        },
+        getVoices: () => []
+    };
+    class Utterance {
+        constructor(text) {
+            this.text = text;
+        }
+    }
+    return { speaker: createSpeaker({ synth, Utterance }), spoken };
+}
+
+const boundary = (utterance, charIndex) => utterance.onboundary({ name: 'word', charIndex });
+
+test('mostra les paraules al ritme de la velocitat i acaba amb les dades de la sessió', () => {
+    const { engine, clock, log } = createTestEngine();
+    engine.start(TEXT, { lang: 'ca', ...constant(600) });
+    assert.deepEqual(log.words, ['u']);
+    assert.equal(engine.getState(), 'playing');
+
+    // Sense puntuació cada paraula dura 100 ms, excepte l'última, que tanca el paràgraf
+    clock.tick(100);
+    assert.deepEqual(log.words, ['u', 'dos']);
+    clock.tick(299);
+    assert.deepEqual(log.words, ['u', 'dos', 'tres', 'quatre', 'cinc']);
+    assert.equal(log.finished, null);
+    clock.tick(10000);
+
+    assert.equal(engine.getState(), 'finished');
+    assert.deepEqual(log.states, ['playing', 'finished']);
+    assert.equal(log.finished.completed, true);
+    assert.equal(log.finished.wordsRead, 5);
+    assert.equal(log.finished.totalWords, 5);
+    assert.ok(log.finished.duration > 400);
+    assert.deepEqual(log.progress.at(-1), { position: 4, total: 5, word: 5, totalWords: 5, wpm: 600 });
+});
+
+test('la pausa atura el temps i la corba d\'acceleració', () => {
+    const { engine, clock, log } = createTestEngine();
+    const program = { ...DEFAULT_PROGRAM, rampLength: 10 };
+    engine.start('u dos tres quatre cinc sis set vuit nou deu', { lang: 'ca', startWPM: 300, targetWPM: 600, program });
+    clock.tick(1000);
+    engine.pause();
+    const { length } = log.words;
+    const wpm = engine.getWPM();
+    const played = engine.getPlayedTime();
+    assert.ok(wpm > 300 && wpm < 600);
+
+    clock.tick(60000);
+    assert.equal(log.words.length, length);
+    assert.equal(engine.getPlayedTime(), played);
+
+    engine.resume();
+    assert.equal(log.words.length, length + 1);
+    assert.equal(engine.getWPM(), wpm);
+    assert.deepEqual(log.states, ['playing', 'paused', 'playing']);
+});
+
+test('en pausa, els salts mostren la paraula sense continuar la lectura', () => {
+    const { engine, clock, log } = createTestEngine();
+    engine.start('Primera frase aquí. Segona frase.\n\nTercer paràgraf.', { lang: 'ca', ...constant(600) });
+    engine.pause();
+    engine.skipSentence(1);
+    assert.equal(log.words.at(-1), 'Segona');
+    engine.skipParagraph(1);
+    assert.equal(log.words.at(-1), 'Tercer');
+    engine.skipWords(-1);
+    assert.equal(log.words.at(-1), 'frase.');
+    engine.seek(0);
+    assert.equal(log.words.at(-1), 'Primera');
+
+    const shown = log.words.length;
+    clock.tick(10000);
+    assert.equal(log.words.length, shown);
+    assert.equal(engine.getState(), 'paused');
+});
+
+test('saltar des del final torna la sessió a la pausa', () => {
+    const { engine, clock, log } = createTestEngine();
+    engine.start(TEXT, { lang: 'ca', ...constant(600) });
+    clock.tick(10000);
+    engine.skipWords(-2);
+    assert.equal(engine.getState(), 'paused');
+    assert.equal(log.words.at(-1), 'tres');
+});
+
+test('continua des del marcador i només compta les paraules llegides', () => {
+    const { engine, clock, log } = createTestEngine();
+    engine.start(TEXT, { lang: 'ca', ...constant(600), startWord: 3 });
+    assert.deepEqual(log.words, ['quatre']);
+    clock.tick(10000);
+    assert.equal(log.finished.wordsRead, 2);
+});
+
+test('agrupa les paraules i refà els grups en canviar les opcions', () => {
+    const { engine, log } = createTestEngine({ settings: { display: { chunkSize: 3, chunkSplit: 'length' } } });
+    engine.start('u dos tres quatre cinc sis', { lang: 'ca', ...constant(300) });
+    assert.deepEqual(log.words, ['u dos tres']);
+
+    engine.pause();
+    engine.configure({ display: { chunkSize: 1, chunkSplit: 'length' } });
+    assert.equal(log.words.at(-1), 'u');
+    engine.skipWords(1);
+    assert.equal(log.words.at(-1), 'dos');
+});
+
+test('la lletra de fixació d\'un grup va al centre', () => {
+    const tokens = tokenizeText('u dos tres', { lang: 'ca' });
+    assert.deepEqual(getChunkFocus(tokens, { strategy: 'orp', lang: 'ca' }), { text: 'u dos tres', focusStart: 4, focusEnd: 5 });
+    assert.deepEqual(getChunkFocus(tokens.slice(2), { strategy: 'orp', lang: 'ca' }), { text: 'tres', focusStart: 1, focusEnd: 2 });
+});
+
+test('el canvi de velocitat es limita al rang permès', () => {
+    const { engine, log } = createTestEngine();
+    engine.shiftSpeed(100);
+    assert.equal(log.progress.length, 0);
+
+    engine.start(TEXT, { lang: 'ca', ...constant(950) });
+    engine.shiftSpeed(100);
+    assert.equal(engine.getWPM(), MAX_WPM);
+    assert.equal(log.progress.at(-1).wpm, MAX_WPM);
+});
+
+test('sense temps de lectura, la velocitat mitjana és 0', () => {
+    const { engine } = createTestEngine();
+    engine.start(TEXT, { lang: 'ca', ...constant(600) });
+    engine.stop();
+    const stats = engine.getStats();
+    assert.equal(stats.duration, 0);
+    assert.equal(stats.averageWPM, 0);
+});
+
+test('no es pot començar sense paraules', () => {
+    const { engine } = createTestEngine();
+    assert.throws(() => engine.start('  ', { lang: 'ca' }), Error);
+    assert.equal(engine.getState(), 'idle');
+});
+
+test('amb la veu, cada paraula espera que s\'acabi de dir', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, clock, log } = createTestEngine({ speaker, settings: { speechMode: 'follow' } });
+    engine.start(TEXT, { lang: 'ca', ...constant(600) });
+    assert.equal(spoken[0].text, 'u');
+    assert.equal(spoken[0].lang, 'ca');
+
+    // S'ha acabat el temps, però no la locució
+    clock.tick(1000);
+    assert.deepEqual(log.words, ['u']);
+    spoken[0].onend();
+    assert.deepEqual(log.words, ['u', 'dos']);
+
+    // Si la locució acaba abans, s'espera el temps de la paraula
+    spoken[1].onend();
+    assert.deepEqual(log.words, ['u', 'dos']);
+    clock.tick(100);
+    assert.deepEqual(log.words, ['u', 'dos', 'tres']);
+
+    // En pausar, la locució es cancel·la i els seus events ja no fan avançar
+    engine.pause();
+    spoken[2].onend();
+    clock.tick(1000);
+    assert.deepEqual(log.words, ['u', 'dos', 'tres']);
+});
+
+test('amb la veu al davant, els límits de paraula fan avançar el text', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, log } = createTestEngine({ speaker, settings: { speechMode: 'lead' } });
+    engine.start('Primera frase aquí. Segona frase.', { lang: 'ca', ...constant(600) });
+    assert.equal(spoken[0].text, 'Primera frase aquí.');
+    assert.deepEqual(log.words, ['Primera']);
+
+    boundary(spoken[0], 0);
+    assert.deepEqual(log.words, ['Primera']);
+    boundary(spoken[0], 8);
+    boundary(spoken[0], 14);
+    assert.deepEqual(log.words, ['Primera', 'frase', 'aquí.']);
+
+    // En acabar la frase es llegeix la següent
+    spoken[0].onend();
+    assert.equal(spoken[1].text, 'Segona frase.');
+    assert.equal(log.words.at(-1), 'Segona');
+    boundary(spoken[1], 7);
+    assert.equal(log.words.at(-1), 'frase.');
+    spoken[1].onend();
+    assert.equal(engine.getState(), 'finished');
+    assert.equal(log.finished.wordsRead, 5);
+});
+
+test('amb la veu al davant, la pausa fa callar la locució i se n\'ignoren els events', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, clock, log } = createTestEngine({ speaker, settings: { speechMode: 'lead' } });
+    engine.start('Primera frase aquí. Segona frase.', { lang: 'ca', ...constant(600) });
+    boundary(spoken[0], 8);
+    engine.pause();
+
+    boundary(spoken[0], 14);
+    spoken[0].onend();
+    clock.tick(10000);
+    assert.deepEqual(log.words, ['Primera', 'frase']);
+    assert.equal(spoken.length, 1);
+
+    // En reprendre, es torna a llegir des de la paraula de la pantalla
+    engine.resume();
+    assert.equal(spoken[1].text, 'frase aquí.');
+    boundary(spoken[1], 6);
+    assert.equal(log.words.at(-1), 'aquí.');
+});
+
+test('amb la veu al davant, si no arriben límits de paraula s\'avança amb el temps estimat', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, clock, log } = createTestEngine({ speaker, settings: { speechMode: 'lead' } });
+    engine.start('Primera frase aquí. Segona frase.', { lang: 'ca', ...constant(600) });
+    clock.tick(100);
+    assert.deepEqual(log.words, ['Primera', 'frase']);
+
+    // No es passa mai del final de la frase mentre la veu no l'ha acabada
+    clock.tick(10000);
+    assert.deepEqual(log.words, ['Primera', 'frase', 'aquí.']);
+    spoken[0].onend();
+    assert.equal(log.words.at(-1), 'Segona');
+});
+
+test('amb la veu al davant, un límit de paraula endarrerit no fa tornar enrere', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, clock, log } = createTestEngine({ speaker, settings: { speechMode: 'lead' } });
+    engine.start('Primera frase aquí. Segona frase.', { lang: 'ca', ...constant(600) });
+    clock.tick(100);
+    assert.deepEqual(log.words, ['Primera', 'frase']);
+
+    boundary(spoken[0], 0);
+    boundary(spoken[0], 8);
+    assert.deepEqual(log.words, ['Primera', 'frase']);
+    boundary(spoken[0], 14);
+    assert.deepEqual(log.words, ['Primera', 'frase', 'aquí.']);
+});
+
+test('amb la veu al davant, canviar la velocitat torna a llegir des de la paraula actual', () => {
+    const { speaker, spoken } = createTestSpeaker();
+    const { engine, log } = createTestEngine({ speaker, settings: { speechMode: 'lead' } });
+    engine.start('Primera frase aquí. Segona frase.', { lang: 'ca', ...constant(300) });
+    boundary(spoken[0], 8);
+    const { rate } = spoken[0];
+
+    engine.shiftSpeed(150);
+    assert.equal(spoken.length, 2);
+    assert.equal(spoken[1].text, 'frase aquí.');
+    assert.ok(spoken[1].rate > rate);
+    assert.equal(log.words.at(-1), 'frase');
+
+    // La locució anterior ja no fa avançar el text
+    boundary(spoken[0], 14);
+    assert.equal(log.words.at(-1), 'frase');
+    boundary(spoken[1], 6);
+    assert.equal(log.words.at(-1), 'aquí.');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFocusRange, registerFocusStrategy, getFocusStrategies } from '../focus-point.js';
+
+test('la taula ORP depèn de la longitud i de l\'idioma', () => {
+    assert.deepEqual(getFocusRange('a'), { start: 0, end: 1 });
+    assert.deepEqual(getFocusRange('casa'), { start: 1, end: 2 });
+    assert.deepEqual(getFocusRange('extraordinari', { lang: 'ca' }), { start: 4, end: 5 });
+    assert.deepEqual(getFocusRange('extraordinari', { lang: 'en' }), { start: 3, end: 4 });
+});
+
+test('les estratègies alternatives trien la lletra central o el primer terç', () => {
+    assert.deepEqual(getFocusRange('lectura', { strategy: 'center' }), { start: 3, end: 4 });
+    assert.deepEqual(getFocusRange('lectura', { strategy: 'third' }), { start: 2, end: 3 });
+});
+
+test('l\'apòstrof i els accents combinats no compten com a lletres', () => {
+    assert.deepEqual(getFocusRange("l'home", { strategy: 'center' }), { start: 3, end: 4 });
+    const decomposed = 'cafés';
+    assert.deepEqual(getFocusRange(decomposed, { strategy: 'center' }), { start: 2, end: 3 });
+    assert.deepEqual(getFocusRange(decomposed, { strategy: 'third' }), { start: 1, end: 2 });
+    assert.deepEqual(getFocusRange('éxit'.normalize('NFD'), { strategy: 'third' }), { start: 2, end: 3 });
+});
+
+test('es poden registrar estratègies noves', () => {
+    registerFocusStrategy('last', (length) => length - 1);
+    assert.ok(getFocusStrategies().includes('last'));
+    assert.deepEqual(getFocusRange('casa', { strategy: 'last' }), { start: 3, end: 4 });
+});
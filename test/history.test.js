@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * localStorage en memòria; amb `full` cada escriptura falla com quan l'emmagatzematge és ple.
+ */
+const storage = {
+    data: new Map(),
+    full: false,
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    },
+    setItem(key, value) {
+        if (this.full) throw new Error('QuotaExceededError');
+        this.data.set(key, String(value));
+    }
+};
+globalThis.localStorage = storage;
+
+const { addSession, updateSession, loadHistory, importSessions, parseHistory } = await import('../history.js');
+
+const SESSION = {
+    date: '2026-01-10T10:00:00.000Z',
+    title: 'Prova',
+    words: 100,
+    wordsRead: 100,
+    startWPM: 200,
+    targetWPM: 300,
+    averageWPM: 250,
+    duration: 24,
+    completed: true
+};
+
+beforeEach(() => {
+    storage.data.clear();
+    storage.full = false;
+});
+
+test('desa les sessions i en torna l\'identificador', () => {
+    const id = addSession(SESSION);
+    assert.equal(typeof id, 'string');
+    assert.equal(updateSession(id, { quizScore: 80 }), true);
+    assert.deepEqual(loadHistory(), [{ id, quizScore: 80, ...SESSION }]);
+});
+
+test('amb l\'emmagatzematge ple no llança cap error i avisa que no s\'ha desat', (t) => {
+    t.mock.method(console, 'error', () => {});
+    storage.full = true;
+    assert.equal(addSession(SESSION), null);
+    assert.equal(importSessions([{ id: 'a', quizScore: null, ...SESSION }]), null);
+    assert.deepEqual(loadHistory(), []);
+});
+
+test('les sessions importades sense identificador en reben un de diferent i no es dupliquen', () => {
+    const csv = [
+        'date,title,words,wordsRead,startWPM,targetWPM,averageWPM,duration,completed,quizScore',
+        '2026-01-10T10:00:00.000Z,Prova,100,100,200,300,250,24,true,',
+        '2026-01-10T10:00:00.000Z,Una altra,80,40,200,300,240,10,false,'
+    ].join('\n');
+    const sessions = parseHistory(csv);
+    assert.notEqual(sessions[0].id, sessions[1].id);
+
+    assert.equal(importSessions(sessions), 2);
+    assert.equal(importSessions(parseHistory(csv)), 0);
+    assert.equal(loadHistory().length, 2);
+});
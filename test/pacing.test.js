@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeText } from '../tokenizer.js';
+import { createPacingPlan, calculateWordDelay, estimateEffectiveWPM, DEFAULT_PACING } from '../pacing.js';
+
+const unmatched = { ...DEFAULT_PACING, matchTarget: false };
+
+test('sense puntuació, cada paraula dura 60000 / PPM', () => {
+    const plan = createPacingPlan(tokenizeText('u dos tres', { lang: 'ca' }), unmatched);
+    assert.equal(calculateWordDelay(plan, 0, 300), 200);
+    // L'última paraula tanca el paràgraf
+    assert.equal(calculateWordDelay(plan, 0, 300, 2), 400);
+    assert.equal(calculateWordDelay(plan, 2, 300), 200 * unmatched.paragraph);
+});
+
+test('la puntuació allarga la paraula que la porta', () => {
+    const plan = createPacingPlan(tokenizeText('Hola, món. Adéu', { lang: 'ca' }), unmatched);
+    assert.equal(calculateWordDelay(plan, 0, 600), 100 * unmatched.comma);
+    assert.equal(calculateWordDelay(plan, 1, 600), 100 * unmatched.period);
+});
+
+test('amb matchTarget la velocitat mitjana és la triada', () => {
+    const tokens = tokenizeText('Hola, món. Com va tot? Molt bé; gràcies.', { lang: 'ca' });
+    assert.ok(estimateEffectiveWPM(tokens, unmatched, 300) < 300);
+    assert.ok(Math.abs(estimateEffectiveWPM(tokens, DEFAULT_PACING, 300) - 300) < 1e-9);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProgramWPM, DEFAULT_PROGRAM } from '../speed-programs.js';
+
+const program = (changes) => ({ ...DEFAULT_PROGRAM, rampLength: 10, ...changes });
+
+test('la rampa lineal va de la velocitat inicial a l\'objectiu', () => {
+    assert.equal(getProgramWPM(program(), 200, 400, 0), 200);
+    assert.equal(getProgramWPM(program(), 200, 400, 5), 300);
+    assert.equal(getProgramWPM(program(), 200, 400, 20), 400);
+});
+
+test('també pot desaccelerar', () => {
+    assert.equal(getProgramWPM(program(), 400, 200, 5), 300);
+});
+
+test('la corba per esglaons puja a salts iguals', () => {
+    const steps = program({ curve: 'step', steps: 4 });
+    assert.equal(getProgramWPM(steps, 200, 400, 2), 200);
+    assert.equal(getProgramWPM(steps, 200, 400, 5), 300);
+    assert.equal(getProgramWPM(steps, 200, 400, 10), 400);
+});
+
+test('l\'entrenament per intervals alterna ràfegues i recuperació després de la rampa', () => {
+    const intervals = program({ curve: 'interval', burstPercent: 120, burstLength: 15, recoveryPercent: 80, recoveryLength: 30 });
+    assert.equal(getProgramWPM(intervals, 200, 400, 12), 480);
+    assert.equal(getProgramWPM(intervals, 200, 400, 30), 320);
+    assert.equal(getProgramWPM(intervals, 200, 400, 55), 480);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeText, countWords, findSentenceStarts, findParagraphStarts, detectLanguage, splitLongWord } from '../tokenizer.js';
+
+test('detecta l\'idioma del text', () => {
+    assert.equal(detectLanguage('El gat és a la taula i el gos dorm'), 'ca');
+    assert.equal(detectLanguage('El perro está en la mesa y el gato'), 'es');
+    assert.equal(detectLanguage('The cat is on the table and the dog'), 'en');
+});
+
+test('separa l\'article apostrofat de la paraula nua', () => {
+    const [token] = tokenizeText("L'home camina.", { lang: 'ca' });
+    assert.equal(token.text, "L'home");
+    assert.equal(token.word, 'home');
+    assert.equal(token.wordStart, 2);
+});
+
+test('marca els finals de frase i de paràgraf', () => {
+    const tokens = tokenizeText('Una frase. Una altra!\n\nFi.', { lang: 'ca' });
+    assert.deepEqual(tokens.map(token => token.sentenceEnd), [false, true, false, true, true]);
+    assert.deepEqual(tokens.map(token => token.paragraphEnd), [false, false, false, true, true]);
+    assert.deepEqual(findSentenceStarts(tokens), [0, 2, 4]);
+    assert.deepEqual(findParagraphStarts(tokens), [0, 4]);
+});
+
+test('divideix les paraules llargues sense comptar-les dues vegades', () => {
+    const tokens = tokenizeText('Anticonstitucionalment, sí.', { lang: 'ca', maxWordLength: 14 });
+    assert.equal(tokens.length, 3);
+    assert.deepEqual(tokens.map(token => [token.part, token.parts]), [[0, 2], [1, 2], [0, 1]]);
+    assert.ok(tokens[0].softHyphen);
+    assert.equal(countWords(tokens), 2);
+    assert.ok(splitLongWord('Anticonstitucionalment', 14).every(part => part.length <= 14));
+});
+
+test('un text buit no té paraules', () => {
+    assert.deepEqual(tokenizeText('   \n  ', { lang: 'ca' }), []);
+});
@@ -0,0 +1,376 @@
+// Importació de textos des de fitxers: TXT, Markdown, HTML, EPUB i PDF (capa de text).
+// Tot es converteix a text pla amb els paràgrafs separats per una línia en blanc, que és el que espera el tokenitzador.
+
+// pdf.js només es carrega quan s'importa un PDF (còpia local, vegeu scripts/vendor.js)
+const PDFJS_URL = new URL('./vendor/pdfjs/pdf.min.mjs', import.meta.url).href;
+const PDFJS_WORKER_URL = new URL('./vendor/pdfjs/pdf.worker.min.mjs', import.meta.url).href;
+
+export const SUPPORTED_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm', 'xhtml', 'epub', 'pdf'];
+
+// Elements que comencen un bloc nou (paràgraf, títol, element de llista...)
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+    'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Elements que no contenen text per llegir
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'head', 'nav']);
+
+/**
+ * @typedef {Object} ImportedText
+ * @property {string} title - Títol del document (o el nom del fitxer).
+ * @property {Array<{title: string, text: string}>} chapters - Capítols (un de sol si el format no en té).
+ */
+
+/**
+ * Error d'importació amb una clau de traducció per mostrar-lo a l'usuari.
+ */
+export class ImportError extends Error {
+    /**
+     * @param {string} key - Clau de traducció del missatge (dins de `import`).
+     */
+    constructor(key) {
+        super(key);
+        this.name = 'ImportError';
+        this.key = key;
+    }
+}
+
+/**
+ * Uneix blocs de text en paràgrafs separats per una línia en blanc.
+ * @param {string[]} blocks - Blocs de text.
+ * @returns {string}
+ */
+function joinBlocks(blocks) {
+    return blocks
+        .map(block => block.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Extreu el text d'un document HTML: cada títol, paràgraf o element de llista queda com un paràgraf.
+ * @param {Document|Element} root - Document o element d'on s'extreu el text.
+ * @returns {string}
+ */
+function extractBlocks(root) {
+    const blocks = [];
+    let current = '';
+
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            current += node.textContent;
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const name = node.localName.toLowerCase();
+        if (SKIPPED_ELEMENTS.has(name)) return;
+        if (name === 'img' && node.getAttribute('alt')) current += ` ${node.getAttribute('alt')} `;
+
+        const isBlock = BLOCK_ELEMENTS.has(name);
+        if (isBlock) {
+            blocks.push(current);
+            current = '';
+        }
+        node.childNodes.forEach(walk);
+        if (isBlock) {
+            blocks.push(current);
+            current = '';
+        }
+    };
+
+    walk(root.body || root.documentElement || root);
+    blocks.push(current);
+    return joinBlocks(blocks);
+}
+
+/**
+ * Converteix HTML (o XHTML) a text pla.
+ * @param {string} html - Codi HTML.
+ * @param {string} [type='text/html'] - Tipus MIME per al DOMParser.
+ * @returns {string}
+ */
+export function htmlToText(html, type = 'text/html') {
+    let doc = new DOMParser().parseFromString(html, type);
+    // Un XHTML mal format no es pot llegir com a XML; es torna a provar com a HTML
+    if (doc.querySelector('parsererror')) doc = new DOMParser().parseFromString(html, 'text/html');
+    return extractBlocks(doc);
+}
+
+/**
+ * Converteix Markdown a text pla: es treuen les marques de format i es conserven els títols,
+ * els paràgrafs i els elements de llista. Els blocs de codi no es llegeixen.
+ * @param {string} markdown - Text en Markdown.
+ * @returns {string}
+ */
+export function markdownToText(markdown) {
+    const lines = markdown
+        .replace(/\r\n?/g, '\n')
+        .replace(/^---\n[\s\S]*?\n---\n/, '') // Capçalera YAML
+        .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '') // Blocs de codi
+        .split('\n');
+
+    const blocks = [];
+    let current = [];
+    const flush = () => {
+        blocks.push(current.join(' '));
+        current = [];
+    };
+
+    lines.forEach(line => {
+        const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+
+        if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+        } else if (heading) {
+            flush();
+            current.push(heading[1]);
+            flush();
+        } else if (listItem) {
+            flush();
+            current.push(listItem[1]);
+        } else if (/^\s*(=+|-+)\s*$/.test(line) && current.length > 0) {
+            // Subratllat d'un títol (estil Setext)
+            flush();
+        } else {
+            current.push(line.replace(/^\s*>\s?/, ''));
+        }
+    });
+    flush();
+
+    return joinBlocks(blocks.map(block => block
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')       // Imatges: text alternatiu
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // Enllaços: text de l'enllaç
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')       // Enllaços per referència
+        .replace(/<[^>]+>/g, '')                        // HTML incrustat
+        .replace(/`([^`]*)`/g, '$1')                    // Codi en línia
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')             // Negreta
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')       // Cursiva
+        .replace(/~~(.+?)~~/g, '$1')                    // Ratllat
+        .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')     // Caràcters escapats
+    ));
+}
+
+/**
+ * Llegeix els fitxers d'un ZIP (els EPUB ho són). Només admet fitxers sense comprimir o amb deflate.
+ * @param {ArrayBuffer} buffer - Contingut del ZIP.
+ * @returns {Promise<Map<string, Uint8Array>>} - Contingut de cada fitxer, pel seu camí.
+ */
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // El directori central s'indica al final del fitxer (registre EOCD)
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new ImportError('invalidFile');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new ImportError('invalidFile');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // La capçalera local pot tenir un camp extra diferent del del directori central
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        }
+    }
+    return files;
+}
+
+/**
+ * Resol un camí relatiu dins del ZIP.
+ * @param {string} base - Fitxer des d'on es fa referència.
+ * @param {string} href - Camí relatiu.
+ * @returns {string}
+ */
+function resolveZipPath(base, href) {
+    const url = new URL(href, `zip:/${base}`);
+    return decodeURIComponent(url.pathname.slice(1));
+}
+
+/**
+ * Llegeix un EPUB: títol del llibre i capítols en l'ordre de lectura (spine).
+ * @param {ArrayBuffer} buffer - Contingut del fitxer.
+ * @returns {Promise<ImportedText>}
+ */
+async function readEpub(buffer) {
+    const files = await readZip(buffer);
+    const decoder = new TextDecoder();
+    const readFile = (path) => {
+        const data = files.get(path);
+        return data ? decoder.decode(data) : null;
+    };
+    const parseXml = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+    const container = readFile('META-INF/container.xml');
+    const opfPath = container && parseXml(container).querySelector('rootfile')?.getAttribute('full-path');
+    const opf = opfPath && readFile(opfPath);
+    if (!opf) throw new ImportError('invalidFile');
+
+    const packageDoc = parseXml(opf);
+    const manifest = new Map([...packageDoc.getElementsByTagName('item')].map(item => [
+        item.getAttribute('id'),
+        { href: resolveZipPath(opfPath, item.getAttribute('href')), type: item.getAttribute('media-type') }
+    ]));
+    const title = packageDoc.getElementsByTagName('dc:title')[0]?.textContent.trim() || '';
+
+    const chapters = [];
+    for (const itemref of packageDoc.getElementsByTagName('itemref')) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        const content = item && readFile(item.href);
+        if (!content) continue;
+
+        const type = item.type === 'text/html' ? 'text/html' : 'application/xhtml+xml';
+        const doc = new DOMParser().parseFromString(content, type);
+        const text = htmlToText(content, type);
+        if (!text) continue;
+        const heading = doc.querySelector('h1, h2, h3')?.textContent.replace(/\s+/g, ' ').trim();
+        chapters.push({ title: heading || doc.querySelector('title')?.textContent.trim() || '', text });
+    }
+    return { title, chapters };
+}
+
+/**
+ * Extreu la capa de text d'un PDF. Les línies es tornen a unir en paràgrafs segons l'espai vertical
+ * entre línies, i les línies amb lletra més gran (títols) queden com a paràgrafs propis.
+ * Els PDF escanejats (només imatge) no tenen text.
+ * @param {ArrayBuffer} buffer - Contingut del fitxer.
+ * @returns {Promise<ImportedText>}
+ */
+async function readPdf(buffer) {
+    const pdfjs = await import(PDFJS_URL);
+    pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) }).promise;
+
+    const lines = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        let line = { text: '', y: null, size: 0, page: pageNumber };
+        items.forEach(item => {
+            if (line.y === null && item.str.trim()) line.y = item.transform[5];
+            line.text += item.str;
+            line.size = Math.max(line.size, item.height);
+            if (item.hasEOL) {
+                lines.push(line);
+                line = { text: '', y: null, size: 0, page: pageNumber };
+            }
+        });
+        lines.push(line);
+    }
+
+    const textLines = lines.filter(line => line.text.trim());
+    if (textLines.length === 0) throw new ImportError('noText');
+
+    // Mida de lletra habitual (la mediana) i interlineat habitual (el primer quartil: els salts
+    // de paràgraf i els títols només fan els espais més grans)
+    const quantile = (values, q) => values.sort((a, b) => a - b)[Math.floor(values.length * q)] || 0;
+    const gaps = textLines.slice(1)
+        .map((line, index) => line.page === textLines[index].page ? Math.abs(textLines[index].y - line.y) : 0)
+        .filter(gap => gap > 0);
+    const lineGap = quantile(gaps, 0.25);
+    const bodySize = quantile(textLines.map(line => line.size), 0.5);
+
+    const blocks = [];
+    let current = '';
+    textLines.forEach((line, index) => {
+        const previous = textLines[index - 1];
+        const isHeading = line.size > bodySize * 1.15;
+        const wasHeading = previous && previous.size > bodySize * 1.15;
+        const newParagraph = !previous || isHeading || wasHeading ||
+            (line.page === previous.page && lineGap > 0 && Math.abs(previous.y - line.y) > lineGap * 1.4) ||
+            (line.page !== previous.page && /[.!?:…»"”]\s*$/.test(previous.text));
+
+        if (newParagraph) {
+            blocks.push(current);
+            current = line.text.trim();
+        } else if (/\p{L}-$/u.test(current)) {
+            // Paraula partida a final de línia
+            current = current.slice(0, -1) + line.text.trim();
+        } else {
+            current += ` ${line.text.trim()}`;
+        }
+    });
+    blocks.push(current);
+
+    const metadata = await pdf.getMetadata().catch(() => null);
+    return { title: metadata?.info?.Title?.trim() || '', chapters: [{ title: '', text: joinBlocks(blocks) }] };
+}
+
+/**
+ * Extensió d'un nom de fitxer, en minúscules.
+ * @param {string} name - Nom del fitxer.
+ * @returns {string}
+ */
+function getExtension(name) {
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+/**
+ * Converteix un fitxer a text pla. Funciona sense connexió per a tots els formats, PDF inclòs.
+ * @param {File} file - Fitxer triat o deixat anar.
+ * @returns {Promise<ImportedText>}
+ * @throws {ImportError} Si el format no s'admet, el fitxer no es pot llegir o no conté text.
+ */
+export async function importFile(file) {
+    const extension = getExtension(file.name);
+    const fileTitle = file.name.replace(/\.[^.]+$/, '');
+    let result;
+
+    try {
+        switch (extension) {
+            case 'txt':
+                result = { title: '', chapters: [{ title: '', text: (await file.text()).replace(/\r\n?/g, '\n').trim() }] };
+                break;
+            case 'md':
+            case 'markdown':
+                result = { title: '', chapters: [{ title: '', text: markdownToText(await file.text()) }] };
+                break;
+            case 'html':
+            case 'htm':
+            case 'xhtml': {
+                const html = await file.text();
+                const title = new DOMParser().parseFromString(html, 'text/html').title.trim();
+                result = { title, chapters: [{ title: '', text: htmlToText(html) }] };
+                break;
+            }
+            case 'epub':
+                result = await readEpub(await file.arrayBuffer());
+                break;
+            case 'pdf':
+                result = await readPdf(await file.arrayBuffer());
+                break;
+            default:
+                throw new ImportError('unsupported');
+        }
+    } catch (error) {
+        if (error instanceof ImportError) throw error;
+        console.error('No s\'ha pogut llegir el fitxer', error);
+        throw new ImportError('invalidFile');
+    }
+
+    const chapters = result.chapters.filter(chapter => chapter.text);
+    if (chapters.length === 0) throw new ImportError('noText');
+    return { title: result.title || fileTitle, chapters };
+}
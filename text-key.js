@@ -0,0 +1,17 @@
+// Clau de text: identifica un text per desar-hi dades associades (preguntes, marcadors, resultats...).
+
+/**
+ * Clau curta i estable d'un text (FNV-1a de 32 bits).
+ * Els espais es normalitzen perquè tornar a enganxar el mateix text doni la mateixa clau.
+ * @param {string} text - Text de lectura.
+ * @returns {string}
+ */
+export function getTextKey(text) {
+    const normalized = text.trim().replace(/\s+/g, ' ');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+        hash ^= normalized.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
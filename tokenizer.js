@@ -0,0 +1,237 @@
+// Tokenitzador: converteix el text en paraules amb metadades per al motor de lectura.
+
+/**
+ * @typedef {Object} Token
+ * @property {string} text - Text que es mostra, amb la puntuació (p. ex. «d'Europa.»).
+ * @property {string} word - Paraula nua, sense puntuació ni article apostrofat (p. ex. Europa).
+ * @property {number} wordStart - Posició de `word` dins de `text`.
+ * @property {string} leading - Puntuació d'obertura: cometes, parèntesis, ¿, ¡, guions de diàleg...
+ * @property {string} elision - Article o pronom apostrofat davant de la paraula (d', l', s'...).
+ * @property {string} trailing - Puntuació de tancament: , . ; : ! ? … » ) ...
+ * @property {boolean} isNumber - La paraula és una xifra (1714, 3,5, 1.000...).
+ * @property {boolean} sentenceEnd - És l'última paraula d'una frase.
+ * @property {boolean} paragraphEnd - És l'última paraula d'un paràgraf.
+ * @property {number} sentence - Índex de la frase dins del text.
+ * @property {number} paragraph - Índex del paràgraf dins del text.
+ * @property {number} wordIndex - Índex de la paraula original (els trossos d'una paraula llarga el comparteixen).
+ * @property {number} part - Tros de la paraula, començant per 0.
+ * @property {number} parts - Nombre de trossos en què s'ha dividit la paraula (1 si no s'ha dividit).
+ * @property {boolean} softHyphen - El tros acaba amb un guionet afegit en dividir la paraula (no és del text original).
+ */
+
+// Longitud a partir de la qual es divideixen les paraules llargues
+export const DEFAULT_MAX_WORD_LENGTH = 14;
+
+// Signes que obren i s'enganxen a la paraula següent quan apareixen sols
+const OPENING_PUNCTUATION = /^[«“‘„"'(\[{¿¡]+$/u;
+// Guions de diàleg o d'incís
+const DASH_PUNCTUATION = /^[—–-]+$/u;
+// Signes que tanquen una frase
+const SENTENCE_END = /[.!?…]/u;
+
+// Articles i pronoms apostrofats per idioma
+const ELISIONS = {
+    ca: /^(?:d|l|s|m|t|n)['’](?=\p{L})/iu
+};
+
+// Paraules freqüents per endevinar l'idioma d'un text
+const LANGUAGE_MARKERS = {
+    ca: ['els', 'les', 'i', 'amb', 'per', 'és', 'dels', 'va', 'van', 'seva', 'seu', 'aquest', 'aquesta', 'però', 'més', 'molt', 'també', 'fins', 'perquè'],
+    es: ['los', 'las', 'y', 'con', 'por', 'es', 'para', 'su', 'sus', 'pero', 'más', 'muy', 'también', 'está', 'hasta', 'porque', 'fue', 'este', 'esta'],
+    en: ['the', 'and', 'of', 'to', 'is', 'that', 'with', 'was', 'for', 'it', 'are', 'this', 'be', 'by', 'but', 'not', 'from', 'have', 'which']
+};
+
+/**
+ * Endevina l'idioma d'un text comptant paraules freqüents de cada idioma.
+ * @param {string} text - Text a analitzar.
+ * @param {string} [fallback='ca'] - Idioma per defecte si no hi ha prou indicis.
+ * @returns {string} - Codi de l'idioma ('ca', 'es' o 'en').
+ */
+export function detectLanguage(text, fallback = 'ca') {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = fallback;
+    let bestScore = 0;
+
+    Object.entries(LANGUAGE_MARKERS).forEach(([lang, markers]) => {
+        const score = words.filter(word => markers.includes(word)).length;
+        if (score > bestScore) {
+            best = lang;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Separa una paraula en puntuació inicial, nucli i puntuació final.
+ * @param {string} raw - Fragment sense espais.
+ * @returns {{leading: string, core: string, trailing: string}}
+ */
+function splitPunctuation(raw) {
+    const [, leading, core, trailing] = raw.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/su);
+    return { leading, core, trailing };
+}
+
+/**
+ * Agrupa els signes de puntuació solts amb la paraula que els correspon:
+ * els d'obertura amb la següent, els de tancament (i els guions) amb l'anterior.
+ * @param {Array<{leading: string, core: string, trailing: string}>} pieces - Fragments d'un paràgraf.
+ * @returns {Array<{leading: string, core: string, trailing: string}>} - Només fragments amb paraula.
+ */
+function attachLoosePunctuation(pieces) {
+    const result = [];
+    let pendingLeading = '';
+
+    pieces.forEach(piece => {
+        if (piece.core) {
+            result.push({ ...piece, leading: pendingLeading + piece.leading });
+            pendingLeading = '';
+            return;
+        }
+        const punctuation = piece.leading + piece.trailing;
+        const previous = result[result.length - 1];
+        if (OPENING_PUNCTUATION.test(punctuation) || !previous || (pendingLeading && DASH_PUNCTUATION.test(punctuation))) {
+            pendingLeading += punctuation;
+        } else {
+            previous.trailing += punctuation;
+        }
+    });
+
+    // Puntuació d'obertura al final del paràgraf: s'enganxa a l'última paraula
+    if (pendingLeading && result.length > 0) {
+        result[result.length - 1].trailing += pendingLeading;
+    }
+    return result;
+}
+
+/**
+ * Divideix una paraula llarga en trossos d'una longitud màxima.
+ * Primer aprofita els guions que ja té; els trossos que encara són massa llargs es reparteixen a parts iguals.
+ * @param {string} word - Paraula nua.
+ * @param {number} maxLength - Longitud màxima de cada tros.
+ * @returns {string[]} - Trossos (els que acaben en guionet ja el porten).
+ */
+export function splitLongWord(word, maxLength) {
+    // Caràcters visibles: no separar una lletra dels seus accents combinats
+    const graphemes = (text) => text.match(/\P{M}\p{M}*/gu) || [];
+    if (graphemes(word).length <= maxLength) return [word];
+
+    const chunks = [];
+    word.split(/(?<=-)/).forEach(segment => {
+        const letters = graphemes(segment);
+        const last = chunks[chunks.length - 1];
+        if (last !== undefined && graphemes(last).length + letters.length <= maxLength) {
+            chunks[chunks.length - 1] = last + segment;
+        } else if (letters.length <= maxLength) {
+            chunks.push(segment);
+        } else {
+            const count = Math.ceil(letters.length / maxLength);
+            const size = Math.ceil(letters.length / count);
+            for (let i = 0; i < letters.length; i += size) {
+                chunks.push(letters.slice(i, i + size).join(''));
+            }
+        }
+    });
+    return chunks;
+}
+
+/**
+ * Divide el texto de entrada en un array de palabras con sus metadatos.
+ * @param {string} text - El texto bruto introducido por el usuario.
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Idioma del text (per defecte es detecta).
+ * @param {number} [options.maxWordLength] - Longitud màxima abans de dividir una paraula (0 per no dividir-ne cap).
+ * @returns {Token[]} - Paraules llestes per ser processades.
+ */
+export function tokenizeText(text, { lang = detectLanguage(text), maxWordLength = 0 } = {}) {
+    const tokens = [];
+    const elision = ELISIONS[lang];
+    let sentence = 0;
+    let wordIndex = 0;
+
+    const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+        .map(paragraph => paragraph
+            // Guions enganxats entre dues paraules (paraula—paraula): es parteix després del guió
+            .replace(/(\p{L})([—–])(?=\p{L})/gu, '$1$2 ')
+            .split(/\s+/)
+            .filter(raw => raw.length > 0)
+            .map(splitPunctuation))
+        .map(attachLoosePunctuation)
+        .filter(pieces => pieces.length > 0);
+
+    paragraphs.forEach((pieces, paragraph) => {
+        pieces.forEach(({ leading, core, trailing }, index) => {
+            const paragraphEnd = index === pieces.length - 1;
+            const sentenceEnd = paragraphEnd || SENTENCE_END.test(trailing);
+            const prefix = elision ? (core.match(elision)?.[0] || '') : '';
+            const word = core.slice(prefix.length);
+            const isNumber = /\p{N}/u.test(word) && !/\p{L}/u.test(word);
+            const chunks = maxWordLength > 0 && !isNumber ? splitLongWord(word, maxWordLength) : [word];
+
+            chunks.forEach((chunk, part) => {
+                const isFirst = part === 0;
+                const isLast = part === chunks.length - 1;
+                const before = isFirst ? leading + prefix : '';
+                // Els trossos intermedis porten un guionet si no en tenien
+                const after = isLast ? trailing : (chunk.endsWith('-') ? '' : '-');
+                const bare = chunk.endsWith('-') && !isLast ? chunk.slice(0, -1) : chunk;
+
+                tokens.push({
+                    text: before + chunk + after,
+                    word: bare,
+                    wordStart: before.length,
+                    leading: isFirst ? leading : '',
+                    elision: isFirst ? prefix : '',
+                    trailing: isLast ? trailing : '',
+                    isNumber,
+                    sentenceEnd: isLast && sentenceEnd,
+                    paragraphEnd: isLast && paragraphEnd,
+                    sentence,
+                    paragraph,
+                    wordIndex,
+                    part,
+                    parts: chunks.length,
+                    softHyphen: after === '-'
+                });
+            });
+
+            wordIndex++;
+            if (sentenceEnd) sentence++;
+        });
+    });
+
+    return tokens;
+}
+
+/**
+ * Compta les paraules originals (els trossos d'una paraula dividida compten una sola vegada).
+ * @param {Token[]} tokens - Paraules tokenitzades.
+ * @returns {number}
+ */
+export function countWords(tokens) {
+    return tokens.filter(token => token.part === 0).length;
+}
+
+/**
+ * Índexs de la primera paraula de cada frase.
+ * @param {Token[]} tokens - Paraules tokenitzades.
+ * @returns {number[]}
+ */
+export function findSentenceStarts(tokens) {
+    return tokens.reduce((starts, token, index) => {
+        if (index === 0 || tokens[index - 1].sentenceEnd) starts.push(index);
+        return starts;
+    }, []);
+}
+
+/**
+ * Índexs de la primera paraula de cada paràgraf.
+ * @param {Token[]} tokens - Paraules tokenitzades.
+ * @returns {number[]}
+ */
+export function findParagraphStarts(tokens) {
+    return tokens.reduce((starts, token, index) => {
+        if (index === 0 || tokens[index - 1].paragraphEnd) starts.push(index);
+        return starts;
+    }, []);
+}
@@ -0,0 +1,251 @@
+// Validació del formulari de configuració: missatges al costat de cada camp i valors limitats al rang permès.
+import i18next from './i18n.js';
+import { tokenizeText, countWords } from './tokenizer.js';
+
+/**
+ * @typedef {Object} FieldError
+ * @property {HTMLElement} field - Camp amb l'error.
+ * @property {string} message - Missatge traduït.
+ */
+
+/**
+ * @typedef {Object} NumberRules
+ * @property {number} min - Valor mínim.
+ * @property {number} max - Valor màxim.
+ * @property {boolean} integer - Si només admet enters.
+ */
+
+// Últim valor vàlid de cada camp, per recuperar-lo si es deixa buit
+const lastValid = new WeakMap();
+
+// Camps que l'usuari ja ha tocat: els errors dels altres (per exemple, el text buit en obrir l'aplicació)
+// no es mostren fins que s'intenta començar
+const touched = new WeakSet();
+
+// Camps amb un avís d'ajust pendent (el valor s'ha limitat al rang en deixar el camp)
+const adjusted = new WeakMap();
+
+/**
+ * Regles d'un camp numèric, llegides dels atributs `min`, `max` i `step`.
+ * @param {HTMLInputElement} input - Camp numèric.
+ * @returns {NumberRules}
+ */
+export function getNumberRules(input) {
+    const step = input.step === '' ? 1 : parseFloat(input.step);
+    return {
+        min: input.min === '' ? -Infinity : parseFloat(input.min),
+        max: input.max === '' ? Infinity : parseFloat(input.max),
+        integer: Number.isInteger(step)
+    };
+}
+
+/**
+ * Valida el contingut d'un camp numèric.
+ * @param {string} raw - Text del camp.
+ * @param {NumberRules} rules - Regles del camp.
+ * @returns {{value: number|null, error: string|null}} - Valor llegit i clau de l'error
+ *   ('required', 'notNumber', 'notInteger', 'belowMin' o 'aboveMax'), o null si és vàlid.
+ */
+export function validateNumber(raw, { min, max, integer }) {
+    if (String(raw).trim() === '') return { value: null, error: 'required' };
+    const value = Number(raw);
+    if (!Number.isFinite(value)) return { value: null, error: 'notNumber' };
+    if (integer && !Number.isInteger(value)) return { value, error: 'notInteger' };
+    if (value < min) return { value, error: 'belowMin' };
+    if (value > max) return { value, error: 'aboveMax' };
+    return { value, error: null };
+}
+
+/**
+ * Limita un valor al rang del camp (i l'arrodoneix si només admet enters).
+ * @param {number} value - Valor llegit.
+ * @param {NumberRules} rules - Regles del camp.
+ * @returns {number}
+ */
+export function clampNumber(value, { min, max, integer }) {
+    const clamped = Math.max(min, Math.min(value, max));
+    return integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Valida el text de lectura.
+ * @param {string} text - Text del camp.
+ * @returns {string|null} - Clau de l'error ('noText' o 'noWords'), o null si és vàlid.
+ */
+export function validateText(text) {
+    if (!text.trim()) return 'noText';
+    if (countWords(tokenizeText(text)) === 0) return 'noWords';
+    return null;
+}
+
+/**
+ * Camps que es validen: els numèrics visibles del popup de configuració i el text.
+ * @returns {HTMLElement[]}
+ */
+function getFields() {
+    const popup = document.getElementById('input-popup');
+    const numbers = [...popup.querySelectorAll('input[type="number"]')]
+        .filter(input => !input.disabled && !input.closest('[hidden]'));
+    return [document.getElementById('input-text'), ...numbers];
+}
+
+/**
+ * Element on es mostra el missatge d'un camp; es crea després de la fila del camp la primera vegada.
+ * @param {HTMLElement} field - Camp.
+ * @returns {HTMLElement}
+ */
+function getMessageElement(field) {
+    const id = `${field.id}-error`;
+    let message = document.getElementById(id);
+    if (!message) {
+        message = document.createElement('p');
+        message.id = id;
+        message.className = 'field-error';
+        message.setAttribute('aria-live', 'polite');
+        const row = field.closest('.config-row') || field;
+        row.after(message);
+        field.setAttribute('aria-describedby', id);
+    }
+    return message;
+}
+
+/**
+ * Nom del camp per als missatges: la seva etiqueta, l'aria-label o l'etiqueta de la fila.
+ * @param {HTMLElement} field - Camp.
+ * @returns {string}
+ */
+function getFieldLabel(field) {
+    const label = document.querySelector(`label[for="${field.id}"]`);
+    if (label) return label.textContent.trim().replace(/:$/, '');
+    if (field.hasAttribute('aria-label')) return field.getAttribute('aria-label');
+    return field.closest('.config-row')?.querySelector('label')?.textContent.trim().replace(/:$/, '') || field.id;
+}
+
+/**
+ * Missatge d'error d'un camp, o null si és vàlid.
+ * @param {HTMLElement} field - Camp.
+ * @returns {string|null}
+ */
+function getFieldError(field) {
+    if (field.tagName === 'TEXTAREA') {
+        const error = validateText(field.value);
+        return error ? i18next.t(`validation.${error}`) : null;
+    }
+    const rules = getNumberRules(field);
+    const { error } = validateNumber(field.value, rules);
+    return error ? i18next.t(`validation.${error}`, { min: rules.min, max: rules.max }) : null;
+}
+
+/**
+ * Mostra o amaga el missatge d'un camp. Els errors només es mostren als camps ja tocats.
+ * @param {HTMLElement} field - Camp.
+ * @param {string|null} error - Missatge d'error.
+ */
+function renderFieldState(field, error) {
+    const shown = touched.has(field) ? error : null;
+    const note = adjusted.get(field);
+    if (!shown && !note && !document.getElementById(`${field.id}-error`)) return;
+
+    const message = getMessageElement(field);
+    message.textContent = shown || note || '';
+    message.classList.toggle('is-note', !shown && Boolean(note));
+    if (shown) field.setAttribute('aria-invalid', 'true');
+    else field.removeAttribute('aria-invalid');
+}
+
+/**
+ * Valida tot el formulari i actualitza els missatges dels camps.
+ * Els camps de les opcions amagades (per exemple, les d'una altra corba de velocitat) no es validen.
+ * @returns {FieldError[]} - Errors, en l'ordre dels camps.
+ */
+export function validateForm() {
+    const fields = getFields();
+    const errors = [];
+    fields.forEach(field => {
+        const error = getFieldError(field);
+        renderFieldState(field, error);
+        if (error) errors.push({ field, message: `${getFieldLabel(field)}: ${error}` });
+        else if (field.type === 'number') lastValid.set(field, field.value);
+    });
+
+    // Netejar els missatges dels camps que ara estan amagats
+    document.querySelectorAll('#input-popup input[type="number"]').forEach(input => {
+        if (fields.includes(input)) return;
+        adjusted.delete(input);
+        input.removeAttribute('aria-invalid');
+        const message = document.getElementById(`${input.id}-error`);
+        if (message) message.textContent = '';
+    });
+    return errors;
+}
+
+/**
+ * En deixar un camp numèric, limita el valor al rang permès (o recupera l'últim valor vàlid si
+ * és buit) i avisa de l'ajust. Es torna a llançar `input` perquè la resta de l'aplicació el rebi.
+ * @param {HTMLInputElement} input - Camp numèric.
+ */
+function commitNumber(input) {
+    const rules = getNumberRules(input);
+    const { value, error } = validateNumber(input.value, rules);
+    if (!error) return;
+
+    const fallback = lastValid.get(input) ?? input.defaultValue;
+    const fixed = value === null ? fallback : String(clampNumber(value, rules));
+    if (fixed === '' || fixed === undefined) return;
+
+    input.value = fixed;
+    adjusted.set(input, i18next.t('validation.adjusted', { value: fixed }));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Posa el focus al primer camp amb error (obrint la secció plegada on sigui, si cal).
+ * @param {FieldError[]} errors - Errors de validateForm.
+ */
+export function focusFirstError(errors) {
+    if (errors.length === 0) return;
+    errors.forEach(error => touched.add(error.field));
+    validateForm();
+    const { field } = errors[0];
+    const section = field.closest('details');
+    if (section) section.open = true;
+    field.focus();
+}
+
+/**
+ * Connecta la validació en directe del popup de configuració.
+ * Els events s'escolten en fase de captura, perquè també arribin els que l'aplicació llança sense
+ * propagació (en triar un text de la biblioteca o un capítol), i la validació s'ajorna fins que
+ * els altres gestors han actualitzat els camps.
+ * @param {Object} options
+ * @param {(errors: FieldError[]) => void} options.onValidate - Rep els errors cada vegada que es valida.
+ * @returns {() => void} - Funció per tornar a validar després de canviar camps des del codi.
+ */
+export function initializeValidation({ onValidate }) {
+    const popup = document.getElementById('input-popup');
+    const revalidate = () => onValidate(validateForm());
+    let scheduled = false;
+    const scheduleValidation = () => {
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+            scheduled = false;
+            revalidate();
+        });
+    };
+
+    popup.addEventListener('input', (e) => {
+        // L'avís d'ajust es treu en tornar a escriure al camp (no amb l'event que llança commitNumber)
+        if (e.isTrusted && e.target.type === 'number') adjusted.delete(e.target);
+        if (e.isTrusted) touched.add(e.target);
+        scheduleValidation();
+    }, true);
+    popup.addEventListener('change', (e) => {
+        if (e.isTrusted) touched.add(e.target);
+        if (e.target.type === 'number') commitNumber(e.target);
+        // Canviar de corba o d'unitat mostra i amaga camps
+        scheduleValidation();
+    }, true);
+    revalidate();
+    return revalidate;
+}